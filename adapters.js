@@ -0,0 +1,206 @@
+// Contract adapters: one interface over the two traceability contracts in contracts/
+//
+// PrivateTraceability (numeric IDs, batches, encrypted trace records; its pre-series deployment is
+// the read-only 'private-traceability-legacy' variant) and PrivacyTraceability
+// (string IDs, a pause switch and transferable ownership) share roles, product counts and
+// verification but little else. The app goes through the adapter for the shared actions and
+// asks supports(feature) before showing anything only one contract has. Reads return the call's
+// result; writes return a { method, params } call for the transaction manager to send.
+
+const CONTRACT_FEATURES = {
+    'private-traceability': [
+        'numericProducts', 'batches', 'traceRecords', 'encryptedFields', 'encryptedInputs', 'decryptionAccess',
+        'labels', 'trackerRole', 'roleEvents', 'bulkVerify', 'liveEvents', 'provenanceReports'
+    ],
+    'private-traceability-legacy': [
+        'numericProducts', 'batches', 'traceRecords', 'encryptedFields',
+        'labels', 'trackerRole', 'bulkVerify', 'liveEvents', 'provenanceReports'
+    ],
+    'privacy-traceability': ['stringProducts', 'bulkVerify', 'roleEvents', 'ownershipTransfer', 'pause']
+};
+
+// A view function only one of the contracts has; answering it identifies the deployment. Probed
+// in order, so the legacy deployment is only picked once the current contract has not answered.
+const VARIANT_PROBES = {
+    'private-traceability': 'function nextDecryptionRequestId() view returns (uint256)',
+    'private-traceability-legacy': 'function getTotalBatches() view returns (uint256)',
+    'privacy-traceability': 'function contractPaused() view returns (bool)'
+};
+
+// Features added to a contract after its first deployment; older deployments of the same variant
+// lack them, so each is enabled only when its view function answers
+const OPTIONAL_FEATURE_PROBES = {
+    'private-traceability': {
+        recalls: 'function totalRecalls() view returns (uint256)'
+    },
+    'private-traceability-legacy': {},
+    'privacy-traceability': {}
+};
+
+// bulkVerifyProducts loops in a single eth_call; keep each call well under RPC gas caps
+const BULK_VERIFY_CHUNK_SIZE = 200;
+
+// Returns the ABI variant deployed at address, or null when neither probe answers
+async function detectContractVariant(provider, address) {
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+        throw new Error(`No contract deployed at ${address}`);
+    }
+
+    for (const [variant, signature] of Object.entries(VARIANT_PROBES)) {
+        if (await probeView(provider, address, signature)) {
+            return variant;
+        }
+    }
+    return null;
+}
+
+// Calls a no-argument view function; false when the contract does not have it
+async function probeView(provider, address, signature) {
+    const probe = new ethers.Contract(address, [signature], provider);
+    try {
+        await probe[probe.interface.fragments[0].name]();
+        return true;
+    } catch (error) {
+        if (error.code !== ethers.errors.CALL_EXCEPTION) throw error;
+        return false;
+    }
+}
+
+// Returns the names of the variant's optional features the contract at address has
+async function detectOptionalFeatures(provider, address, variant) {
+    const features = [];
+    for (const [feature, signature] of Object.entries(OPTIONAL_FEATURE_PROBES[variant])) {
+        if (await probeView(provider, address, signature)) {
+            features.push(feature);
+        }
+    }
+    return features;
+}
+
+// Splits pasted text on newlines and commas; returns trimmed unique IDs in input order
+function parseIdList(text) {
+    const ids = [];
+    text.split(/[\n,]+/).map(entry => entry.trim()).filter(Boolean).forEach(id => {
+        if (!ids.includes(id)) {
+            ids.push(id);
+        }
+    });
+    return ids;
+}
+
+class TraceabilityAdapter {
+    constructor(variant, readContract) {
+        this.variant = variant;
+        this.read = readContract;
+        this.optionalFeatures = [];
+    }
+
+    supports(feature) {
+        return CONTRACT_FEATURES[this.variant].includes(feature) || this.optionalFeatures.includes(feature);
+    }
+
+    // Role keys of ROLES this contract knows
+    roles() {
+        return Object.keys(ROLES).filter(role => role !== 'tracker' || this.supports('trackerRole'));
+    }
+
+    owner() {
+        return this.read.owner();
+    }
+
+    getTotalProducts() {
+        return this.read.getTotalProducts();
+    }
+
+    async hasRole(role, address) {
+        if (!this.roles().includes(role)) return false;
+        return this.read[ROLES[role].getter](address);
+    }
+}
+
+class PrivateTraceabilityAdapter extends TraceabilityAdapter {
+    setRole(role, address, authorized) {
+        const definition = ROLES[role];
+        return { method: authorized ? definition.grant : definition.revoke, params: [address] };
+    }
+
+    verifyProduct(productId) {
+        return this.read.verifyProductAuthenticity(productId);
+    }
+
+    // No batch call on this contract: one view call per ID. verifyProductAuthenticity reverts for
+    // unknown IDs, so anything non-numeric or past the product count is false without a call.
+    async bulkVerify(productIds) {
+        const total = await this.read.getTotalProducts();
+        return Promise.all(productIds.map(async (productId) => {
+            if (!/^\d+$/.test(productId) || Number(productId) < 1 || total.lt(productId)) return false;
+            return this.read.verifyProductAuthenticity(productId);
+        }));
+    }
+}
+
+class PrivacyTraceabilityAdapter extends TraceabilityAdapter {
+    setRole(role, address, authorized) {
+        return { method: 'setManufacturerAuthorization', params: [address, authorized] };
+    }
+
+    verifyProduct(productId) {
+        return this.read.productExists(productId);
+    }
+
+    async bulkVerify(productIds) {
+        const results = [];
+        for (let i = 0; i < productIds.length; i += BULK_VERIFY_CHUNK_SIZE) {
+            results.push(...await this.read.bulkVerifyProducts(productIds.slice(i, i + BULK_VERIFY_CHUNK_SIZE)));
+        }
+        return results;
+    }
+
+    getProduct(productId) {
+        return this.read.getProduct(productId);
+    }
+
+    getProductIdByIndex(index) {
+        return this.read.getProductIdByIndex(index);
+    }
+
+    // addProductSafe is addProduct plus the pause check, so a paused contract rejects new products
+    addProduct({ productId, productName, manufacturer, isAuthentic }) {
+        return { method: 'addProductSafe', params: [productId, productName, manufacturer, isAuthentic] };
+    }
+
+    isPaused() {
+        return this.read.contractPaused();
+    }
+
+    setPaused(paused) {
+        return { method: 'pauseContract', params: [paused] };
+    }
+
+    transferOwnership(newOwner) {
+        return { method: 'transferOwnership', params: [newOwner] };
+    }
+}
+
+function createContractAdapter(variant, readContract) {
+    switch (variant) {
+        case 'private-traceability':
+        case 'private-traceability-legacy':
+            return new PrivateTraceabilityAdapter(variant, readContract);
+        case 'privacy-traceability':
+            return new PrivacyTraceabilityAdapter(variant, readContract);
+        default:
+            throw new Error(`Unknown contract variant: ${variant}`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONTRACT_FEATURES,
+        detectContractVariant,
+        detectOptionalFeatures,
+        parseIdList,
+        createContractAdapter
+    };
+}
@@ -1,76 +1,270 @@
 // Privacy Product Traceability System
-const CONTRACT_ADDRESS = '0xD2BF97b3D170fde0ef4c20249D31A88F9FA915AC';
-
-// Contract ABI - Privacy Traceability Contract
-const CONTRACT_ABI = [
-    "function owner() view returns (address)",
-    "function nextProductId() view returns (uint256)",
-    "function nextBatchId() view returns (uint256)",
-    "function authorizedTrackers(address) view returns (bool)",
-    "function authorizedManufacturers(address) view returns (bool)",
-    "function addAuthorizedTracker(address tracker)",
-    "function removeAuthorizedTracker(address tracker)",
-    "function addAuthorizedManufacturer(address manufacturer)",
-    "function removeAuthorizedManufacturer(address manufacturer)",
-    "function createBatch(uint32 supplierCount, uint32 quantity) returns (uint256)",
-    "function registerProduct(uint32 manufacturerId, uint32 qualityScore, uint32 cost, uint256 batchId, string memory category) returns (uint256)",
-    "function addTraceRecord(uint256 productId, uint32 locationId, uint32 handlerId, bool qualityCheckPassed, string memory eventType)",
-    "function sealBatch(uint256 batchId)",
-    "function verifyProductAuthenticity(uint256 productId) view returns (bool)",
-    "function getProductInfo(uint256 productId) view returns (address manufacturer, uint256 batchId, string memory category, uint256 traceRecordCount)",
-    "function getBatchInfo(uint256 batchId) view returns (bool isSealed, address batchOwner, uint256 productCount)",
-    "function getTraceRecordCount(uint256 productId) view returns (uint256)",
-    "function getPublicTraceInfo(uint256 productId, uint256 recordIndex) view returns (address recorder, string memory eventType)",
-    "function requestProductDecryption(uint256 productId)",
-    "function getTotalProducts() view returns (uint256)",
-    "function getTotalBatches() view returns (uint256)",
-    "event ProductRegistered(uint256 indexed productId, address indexed manufacturer, uint256 batchId)",
-    "event BatchCreated(uint256 indexed batchId, address indexed owner)",
-    "event TraceRecordAdded(uint256 indexed productId, address indexed recorder, string eventType)",
-    "event QualityCheckPerformed(uint256 indexed productId, address indexed checker)",
-    "event BatchSealed(uint256 indexed batchId)"
-];
+// Contract addresses, ABIs and RPC endpoints live in deployments.js
 
 class PrivacyTraceabilityApp {
     constructor() {
+        this.deployment = resolveDeployment(new URLSearchParams(window.location.search));
         this.provider = null;
         this.signer = null;
         this.contract = null;
+        this.readProvider = null;
+        this.readContract = null;
+        this.reader = null;
+        this.readChainId = null;
+        this.adapter = null;
+        this.encryptor = null;
+        this.decryptor = null;
+        this.client = null;
+        this.manifest = null;
+        this.manifestPrivateChecks = null;
+        this.recallManifest = null;
+        this.outbox = null;
+        this.outboxReviewed = false;
+        this.decryptionTracker = null;
+        this.localGateway = null;
+        this.transactions = null;
+        this.resolveTxPreview = null;
+        this.liveFeed = null;
+        this.watchlist = null;
+        this.notifications = [];
+        this.directory = new EncryptedDirectory();
+        this.openViews = { product: null, batch: null, trace: null };
+        this.indexer = null;
         this.userAddress = null;
+        this.chainId = null;
         this.isConnected = false;
+        this.importRows = null;
+        this.importJob = null;
+        this.qrScanner = null;
+        this.roles = { owner: null, isOwner: false, isManufacturer: false, isTracker: false };
 
         this.initializeApp();
     }
 
     async initializeApp() {
+        this.registerServiceWorker();
         this.bindEvents();
+        this.bindWalletEvents();
+        this.renderDeploymentSelector();
+        this.renderOutbox();
+        this.renderDirectory();
+        this.applyRoleGating();
+        this.renderTransactions();
+        await this.initializeReadAccess();
         await this.checkConnection();
         await this.loadStatistics();
+        await this.handleVerifyRoute();
     }
 
     bindEvents() {
-        // Wallet connection
+        // Wallet connection and deployment
         document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
+        document.getElementById('deploymentSelect').addEventListener('change', (event) => this.selectDeployment(event.target.value));
+        document.getElementById('switchNetwork').addEventListener('click', () => this.switchNetwork());
 
         // Manufacturer actions
         document.getElementById('addManufacturer').addEventListener('click', () => this.addManufacturer());
+        document.getElementById('addStringProduct').addEventListener('click', () => this.addStringProduct());
         document.getElementById('createBatch').addEventListener('click', () => this.createBatch());
         document.getElementById('registerProduct').addEventListener('click', () => this.registerProduct());
-        document.getElementById('sealBatch').addEventListener('click', () => this.sealBatch());
+        document.getElementById('sealBatch').addEventListener('click', () => this.reviewSeal());
+        document.getElementById('loadImport').addEventListener('click', () => this.loadImportFile());
+        document.getElementById('startImport').addEventListener('click', () => this.startImport());
+        document.getElementById('resumeImport').addEventListener('click', () => this.resumeImport());
+        document.getElementById('discardImport').addEventListener('click', () => this.discardImport());
 
         // Tracker actions
         document.getElementById('addTracker').addEventListener('click', () => this.addTracker());
         document.getElementById('addTraceRecord').addEventListener('click', () => this.addTraceRecord());
 
+        // Owner administration
+        document.getElementById('grantRole').addEventListener('click', () => this.updateRoles(true));
+        document.getElementById('revokeRole').addEventListener('click', () => this.updateRoles(false));
+        document.getElementById('checkRoles').addEventListener('click', () => this.checkRoles());
+        document.getElementById('refreshRoster').addEventListener('click', () => this.refreshRoster());
+        document.getElementById('togglePause').addEventListener('click', () => this.togglePause());
+        document.getElementById('transferOwnership').addEventListener('click', () => this.transferOwnership());
+
         // Query actions
         document.getElementById('queryProduct').addEventListener('click', () => this.queryProduct());
         document.getElementById('queryBatch').addEventListener('click', () => this.queryBatch());
         document.getElementById('getTraceHistory').addEventListener('click', () => this.getTraceHistory());
         document.getElementById('verifyProduct').addEventListener('click', () => this.verifyProduct());
+        document.getElementById('lookupProduct').addEventListener('click', () => this.lookupProduct());
+        document.getElementById('bulkVerify').addEventListener('click', () => this.bulkVerifyProducts());
+
+        // Offline trace record queue
+        window.addEventListener('online', () => this.handleConnectivityChange());
+        window.addEventListener('offline', () => this.handleConnectivityChange());
+        document.getElementById('reviewOutbox').addEventListener('click', () => this.reviewOutbox());
+        document.getElementById('submitOutbox').addEventListener('click', () => this.submitOutbox());
+        document.getElementById('clearSubmittedOutbox').addEventListener('click', () => this.clearSubmittedOutbox());
+        document.getElementById('outboxItems').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-outbox-action]');
+            if (button) this.handleOutboxAction(button.dataset.outboxAction, button.dataset.outboxId);
+        });
+
+        // Batch manifest and sealing
+        document.getElementById('openBatchManifest').addEventListener('click', () => this.openBatchManifest(parseInt(document.getElementById('queryBatchId').value)));
+        document.getElementById('runSealPrivateChecks').addEventListener('click', () => this.runSealPrivateChecks());
+        document.getElementById('confirmSealBatch').addEventListener('click', () => this.sealBatch());
+        document.getElementById('closeBatchManifest').addEventListener('click', () => this.closeBatchManifest());
+
+        // Private field decryption
+        document.getElementById('revealProduct').addEventListener('click', () => this.revealProduct());
+        document.getElementById('revealBatch').addEventListener('click', () => this.revealBatch());
+        document.getElementById('revealTraceHistory').addEventListener('click', () => this.revealTraceHistory());
+        document.getElementById('requestDecryption').addEventListener('click', () => this.requestDecryption());
+
+        // Labels and scan-to-verify
+        document.getElementById('printProductLabel').addEventListener('click', () => this.printProductLabel());
+        document.getElementById('printBatchLabels').addEventListener('click', () => this.printBatchLabels());
+        document.getElementById('startScan').addEventListener('click', () => this.startScan());
+        document.getElementById('stopScan').addEventListener('click', () => this.stopScan());
+        document.getElementById('scanImage').addEventListener('change', (event) => this.scanImage(event.target.files[0]));
+
+        // Provenance reports
+        document.getElementById('exportReportJson').addEventListener('click', () => this.exportReport('json'));
+        document.getElementById('exportReportPrint').addEventListener('click', () => this.exportReport('print'));
+        document.getElementById('verifyReport').addEventListener('click', () => this.verifyReport());
+
+        // Recalls
+        document.getElementById('recallScope').addEventListener('change', () => this.renderRecallScope());
+        document.getElementById('findRecallProducts').addEventListener('click', () => this.findRecallProducts());
+        document.getElementById('exportRecallJson').addEventListener('click', () => this.exportRecallManifest('json'));
+        document.getElementById('exportRecallCsv').addEventListener('click', () => this.exportRecallManifest('csv'));
+        document.getElementById('markRecalled').addEventListener('click', () => this.markRecalled());
+
+        // Directory
+        document.getElementById('unlockDirectory').addEventListener('click', () => this.unlockDirectory());
+        document.getElementById('lockDirectory').addEventListener('click', () => this.lockDirectory());
+        document.getElementById('saveDirectoryEntry').addEventListener('click', () => this.saveDirectoryEntry());
+        document.getElementById('importDirectory').addEventListener('click', () => this.importDirectory());
+        document.getElementById('exportDirectoryJson').addEventListener('click', () => this.exportDirectory('json'));
+        document.getElementById('exportDirectoryCsv').addEventListener('click', () => this.exportDirectory('csv'));
+        document.getElementById('directorySearch').addEventListener('input', () => this.renderDirectory());
+        document.getElementById('directoryEntries').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-directory-kind]');
+            if (button) this.removeDirectoryEntry(button.dataset.directoryKind, button.dataset.directoryId);
+        });
+        document.querySelectorAll('.directory-search').forEach(input => {
+            input.addEventListener('change', () => this.pickDirectoryEntry(input));
+            document.getElementById(input.dataset.directoryTarget).addEventListener('input', () => this.renderDirectoryHints());
+        });
+
+        // Live updates
+        document.getElementById('watchProduct').addEventListener('click', () => this.addToWatchlist('product', 'watchProductId'));
+        document.getElementById('watchBatch').addEventListener('click', () => this.addToWatchlist('batch', 'watchBatchId'));
+        document.getElementById('watchlistItems').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-watch-kind]');
+            if (button) this.removeFromWatchlist(button.dataset.watchKind, button.dataset.watchId);
+        });
+        document.getElementById('enableBrowserNotifications').addEventListener('click', () => this.enableBrowserNotifications());
+        document.getElementById('clearNotifications').addEventListener('click', () => this.clearNotifications());
+
+        // Transactions
+        document.getElementById('txPreviewConfirm').addEventListener('click', () => this.answerTransactionPreview(true));
+        document.getElementById('txPreviewReject').addEventListener('click', () => this.answerTransactionPreview(false));
+        document.getElementById('txQueue').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-tx-action]');
+            if (button) this.replaceTransaction(button.dataset.txId, button.dataset.txAction);
+        });
+        document.getElementById('clearTxHistory').addEventListener('click', () => this.clearTransactionHistory());
 
         // Statistics
         document.getElementById('refreshProducts').addEventListener('click', () => this.refreshProducts());
         document.getElementById('refreshBatches').addEventListener('click', () => this.refreshBatches());
+        document.getElementById('syncIndex').addEventListener('click', () => this.syncIndex());
+    }
+
+    // Reads go through the public RPC whether or not a wallet is connected
+    async initializeReadAccess() {
+        this.readProvider = new ethers.providers.StaticJsonRpcProvider(this.deployment.rpcUrl);
+        this.readContract = createDeploymentContract(this.deployment, this.readProvider);
+        this.reader = new MulticallReader(this.readContract);
+        this.adapter = createContractAdapter(this.deployment.abi, this.reader.views);
+        this.applyContractFeatures();
+        this.loadWatchlist();
+        this.updateModeIndicator();
+
+        try {
+            const network = await this.readProvider.getNetwork();
+            this.readChainId = network.chainId;
+            if (network.chainId !== this.deployment.chainId) {
+                this.showStatus(`The RPC endpoint serves chain ${network.chainId}, but ${this.deployment.label} is on chain ${this.deployment.chainId}`, 'error');
+            }
+
+            // The registry's ABI is only a hint; trust whichever contract answers at the address
+            const variant = await detectContractVariant(this.readProvider, this.deployment.address);
+            if (variant && variant !== this.deployment.abi) {
+                console.warn(`${this.deployment.id} is registered as ${this.deployment.abi} but runs ${variant}`);
+                this.deployment.abi = variant;
+                this.readContract = createDeploymentContract(this.deployment, this.readProvider);
+                this.reader = new MulticallReader(this.readContract);
+                this.adapter = createContractAdapter(variant, this.reader.views);
+                this.applyContractFeatures();
+            }
+            this.adapter.optionalFeatures = await detectOptionalFeatures(this.readProvider, this.deployment.address, this.deployment.abi);
+            this.applyContractFeatures();
+
+            await this.resolveStartBlock();
+            this.indexer = new EventIndexer(this.readContract, network.chainId, { startBlock: this.deployment.startBlock });
+            await this.startLiveUpdates();
+        } catch (error) {
+            console.error('Read provider unavailable:', error);
+            this.showStatus('Could not reach the public RPC endpoint; connect a wallet to continue', 'error');
+        }
+    }
+
+    // A deployment registered without a start block would otherwise be backfilled from genesis;
+    // the block found is kept per chain and address so the search runs once
+    async resolveStartBlock() {
+        if (this.deployment.startBlock !== null) return;
+
+        const storageKey = `privacyTraceability.deploymentBlock.${this.deployment.chainId}.${this.deployment.address.toLowerCase()}`;
+        const saved = localStorage.getItem(storageKey);
+        if (saved !== null) {
+            this.deployment.startBlock = Number(saved);
+            return;
+        }
+
+        const block = await findDeploymentBlock(this.readProvider, this.deployment.address);
+        if (block === null) {
+            console.warn(`Deployment block of ${this.deployment.id} not found; indexing from genesis`);
+            this.deployment.startBlock = 0;
+            return;
+        }
+        localStorage.setItem(storageKey, String(block));
+        this.deployment.startBlock = block;
+    }
+
+    bindWalletEvents() {
+        if (!window.ethereum) return;
+
+        window.ethereum.on('accountsChanged', async (accounts) => {
+            if (!this.isConnected) return;
+
+            if (accounts.length === 0) {
+                this.disconnectWallet();
+            } else {
+                // Revealed values, the transaction queue and roles all belong to the previous account
+                await this.initializeWallet(accounts[0]);
+                await this.checkAuthorizations();
+            }
+        });
+
+        window.ethereum.on('chainChanged', async () => {
+            if (!this.isConnected) return;
+
+            // The old provider and everything built on it are bound to the previous chain
+            try {
+                await this.initializeWallet(this.userAddress);
+                await this.checkAuthorizations();
+            } catch (error) {
+                console.error('Chain change failed:', error);
+                this.showStatus('Failed to reconnect after the network change: ' + this.getErrorMessage(error), 'error');
+            }
+        });
     }
 
     async checkConnection() {
@@ -99,103 +293,398 @@ class PrivacyTraceabilityApp {
                 method: 'eth_requestAccounts'
             });
 
-            this.provider = new ethers.providers.Web3Provider(window.ethereum);
-            this.signer = this.provider.getSigner();
-            this.contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, this.signer);
-            this.userAddress = accounts[0];
-            this.isConnected = true;
-
-            const network = await this.provider.getNetwork();
-
-            document.getElementById('walletAddress').textContent =
-                `${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`;
-            document.getElementById('networkName').textContent = network.name || `Chain ID: ${network.chainId}`;
-            document.getElementById('walletInfo').classList.remove('hidden');
-            document.getElementById('connectWallet').style.display = 'none';
-
-            this.showStatus('Wallet connected successfully!', 'success');
+            if (await this.initializeWallet(accounts[0])) {
+                this.showStatus('Wallet connected successfully!', 'success');
+            }
             await this.loadStatistics();
-
-            // Listen for account changes
-            window.ethereum.on('accountsChanged', (accounts) => {
-                if (accounts.length === 0) {
-                    this.disconnectWallet();
-                } else {
-                    this.userAddress = accounts[0];
-                    document.getElementById('walletAddress').textContent =
-                        `${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`;
-                }
-            });
-
         } catch (error) {
             console.error('Connection failed:', error);
             this.showStatus('Failed to connect wallet: ' + error.message, 'error');
         }
     }
 
-    disconnectWallet() {
+    // Builds the wallet-side objects for the wallet's current chain; they are only created when
+    // that chain matches the selected deployment. Returns whether transactions can be sent.
+    async initializeWallet(account) {
+        this.teardownWallet();
+
+        this.provider = new ethers.providers.Web3Provider(window.ethereum);
+        const network = await this.provider.getNetwork();
+        this.chainId = network.chainId;
+        this.userAddress = account;
+        this.isConnected = true;
+        this.loadWatchlist();
+        await this.loadOutbox();
+
+        const known = findDeploymentsForChain(network.chainId)[0];
+        document.getElementById('walletAddress').textContent =
+            `${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`;
+        document.getElementById('networkName').textContent = known ? known.chainName : (network.name !== 'unknown' ? network.name : `Chain ID: ${network.chainId}`);
+        document.getElementById('walletInfo').classList.remove('hidden');
+        document.getElementById('connectWallet').style.display = 'none';
+
+        const onDeploymentChain = network.chainId === this.deployment.chainId;
+        if (onDeploymentChain) {
+            this.signer = this.provider.getSigner();
+            this.contract = createDeploymentContract(this.deployment, this.signer);
+            this.transactions = new TransactionManager(
+                this.contract,
+                TransactionManager.storageKey(this.deployment.chainId, this.deployment.address, this.userAddress),
+                {
+                    preflight: (call) => this.preflight(call),
+                    confirm: (preview) => this.confirmTransaction(preview),
+                    onUpdate: (entry, { resumed }) => this.handleTransactionUpdate(entry, resumed)
+                }
+            );
+            this.transactions.start();
+            this.encryptor = createEncryptor(this.deployment.fheBackend, { provider: this.readProvider });
+            this.decryptor = createDecryptor(this.deployment.fheBackend, { provider: this.readProvider });
+            if (this.deployment.abi === 'private-traceability') {
+                this.client = new TraceabilityClient({
+                    deployment: this.deployment,
+                    provider: this.readProvider,
+                    signer: this.signer,
+                    encryptor: this.encryptor
+                });
+            }
+            if (this.adapter.supports('decryptionAccess')) {
+                await this.startDecryptionTracking();
+            }
+        }
+
+        this.renderNetworkMismatch();
+        this.renderTransactions();
+        this.updateModeIndicator();
+        return onDeploymentChain;
+    }
+
+    // Drops everything bound to the previous provider, chain or account
+    teardownWallet() {
+        this.stopDecryptionTracking();
+        this.clearRevealedFields();
+        this.answerTransactionPreview(false);
+        if (this.transactions) {
+            this.transactions.stop();
+            this.transactions = null;
+        }
         this.provider = null;
         this.signer = null;
         this.contract = null;
+        this.encryptor = null;
+        this.decryptor = null;
+        this.client = null;
+        this.chainId = null;
+        this.resetRoles();
+    }
+
+    disconnectWallet() {
+        this.teardownWallet();
         this.userAddress = null;
         this.isConnected = false;
+        this.loadWatchlist();
+        this.loadOutbox();
+        this.renderNetworkMismatch();
+        this.renderTransactions();
 
         document.getElementById('walletInfo').classList.add('hidden');
         document.getElementById('connectWallet').style.display = 'block';
+        this.updateModeIndicator();
         this.showStatus('Wallet disconnected', 'info');
     }
 
     async addManufacturer() {
-        if (!this.ensureConnected()) return;
+        if (!await this.ensureSigner()) return;
 
         try {
             this.showStatus('Adding manufacturer authorization...', 'info');
-            const tx = await this.contract.addAuthorizedManufacturer(this.userAddress);
-            await tx.wait();
+            await this.transactions.send({
+                action: 'Authorize manufacturer',
+                args: { account: this.userAddress },
+                ...this.adapter.setRole('manufacturer', this.userAddress, true)
+            });
             this.showStatus('Successfully authorized as manufacturer!', 'success');
         } catch (error) {
             console.error('Add manufacturer failed:', error);
-            if (error.message.includes('Not authorized owner')) {
-                this.showStatus('Error: Only the contract owner can authorize manufacturers. Contact the contract owner to get authorization.', 'error');
-            } else {
-                this.showStatus('Failed to add manufacturer: ' + this.getErrorMessage(error), 'error');
-            }
+            this.showStatus('Failed to add manufacturer: ' + this.getErrorMessage(error), 'error');
         }
     }
 
     async addTracker() {
-        if (!this.ensureConnected()) return;
+        if (!await this.ensureSigner()) return;
 
         try {
             this.showStatus('Adding tracker authorization...', 'info');
-            const tx = await this.contract.addAuthorizedTracker(this.userAddress);
-            await tx.wait();
+            await this.transactions.send({
+                action: 'Authorize tracker',
+                args: { account: this.userAddress },
+                ...this.adapter.setRole('tracker', this.userAddress, true)
+            });
             this.showStatus('Successfully authorized as tracker!', 'success');
         } catch (error) {
             console.error('Add tracker failed:', error);
-            if (error.message.includes('Not authorized owner')) {
-                this.showStatus('Error: Only the contract owner can authorize trackers. Contact the contract owner to get authorization.', 'error');
+            this.showStatus('Failed to add tracker: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async addStringProduct() {
+        if (!await this.ensureSigner()) return;
+
+        const product = {
+            productId: document.getElementById('stringProductId').value.trim(),
+            productName: document.getElementById('stringProductName').value.trim(),
+            manufacturer: document.getElementById('stringProductManufacturer').value.trim(),
+            isAuthentic: document.getElementById('stringProductAuthentic').value === 'true'
+        };
+
+        if (!product.productId || !product.productName || !product.manufacturer) {
+            this.showStatus('Please fill in the product ID, name and manufacturer', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Adding product...', 'info');
+            await this.transactions.send({
+                action: 'Add product',
+                args: { productId: product.productId, productName: product.productName, manufacturer: product.manufacturer },
+                ...this.adapter.addProduct(product)
+            });
+            this.showStatus(`Product ${product.productId} added successfully!`, 'success');
+
+            document.getElementById('stringProductId').value = '';
+            document.getElementById('stringProductName').value = '';
+            await this.refreshProducts();
+        } catch (error) {
+            console.error('Add product failed:', error);
+            this.showStatus('Failed to add product: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async updateRoles(grant) {
+        if (!await this.ensureSigner()) return;
+
+        const roleKey = document.getElementById('adminRole').value;
+        const role = ROLES[roleKey];
+        const { addresses, invalid } = parseAddressList(document.getElementById('adminAddresses').value);
+
+        if (invalid.length > 0) {
+            this.showStatus(`Invalid addresses: ${invalid.join(', ')}`, 'error');
+            return;
+        }
+        if (addresses.length === 0) {
+            this.showStatus('Please enter at least one address', 'error');
+            return;
+        }
+
+        try {
+            const owner = await this.adapter.owner();
+            if (!this.isCurrentUser(owner)) {
+                this.showStatus(`Only the contract owner can ${grant ? 'grant' : 'revoke'} roles`, 'error');
+                return;
+            }
+
+            const results = addresses.map(address => ({ address, status: 'Waiting' }));
+            this.renderRoleResults(role, results);
+
+            let failures = 0;
+            for (const result of results) {
+                try {
+                    const isHolder = await this.adapter.hasRole(roleKey, result.address);
+                    if (isHolder === grant) {
+                        result.status = grant ? 'Already authorized' : 'Not authorized';
+                        this.renderRoleResults(role, results);
+                        continue;
+                    }
+
+                    result.status = 'Confirm and wait for mining...';
+                    this.renderRoleResults(role, results);
+
+                    await this.transactions.send({
+                        action: `${grant ? 'Grant' : 'Revoke'} ${role.label.toLowerCase()}`,
+                        args: { account: result.address },
+                        ...this.adapter.setRole(roleKey, result.address, grant)
+                    });
+                    result.status = grant ? 'Granted ✅' : 'Revoked ✅';
+                } catch (error) {
+                    console.error(`Role update failed for ${result.address}:`, error);
+                    result.status = 'Failed ❌ ' + this.getErrorMessage(error);
+                    failures++;
+                }
+                this.renderRoleResults(role, results);
+            }
+
+            const action = grant ? 'grant' : 'revoke';
+            if (failures > 0) {
+                this.showStatus(`${role.label} ${action} finished with ${failures} failure(s)`, 'error');
             } else {
-                this.showStatus('Failed to add tracker: ' + this.getErrorMessage(error), 'error');
+                this.showStatus(`${role.label} ${action} finished for ${addresses.length} address(es)`, 'success');
             }
+            await this.refreshRoster();
+        } catch (error) {
+            console.error('Role update failed:', error);
+            this.showStatus('Failed to update roles: ' + this.getErrorMessage(error), 'error');
         }
     }
 
-    async createBatch() {
-        if (!this.ensureConnected()) return;
+    async checkRoles() {
+        const { addresses, invalid } = parseAddressList(document.getElementById('adminAddresses').value);
 
-        const supplierCount = parseInt(document.getElementById('supplierCount').value);
-        const quantity = parseInt(document.getElementById('batchQuantity').value);
+        if (invalid.length > 0) {
+            this.showStatus(`Invalid addresses: ${invalid.join(', ')}`, 'error');
+            return;
+        }
+        if (addresses.length === 0) {
+            this.showStatus('Please enter at least one address', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Checking role status...', 'info');
+            const holders = [];
+            for (const address of addresses) {
+                const statuses = [];
+                for (const role of this.adapter.roles()) {
+                    const isHolder = await this.adapter.hasRole(role, address);
+                    statuses.push(html`<p><strong>${ROLES[role].label}:</strong> ${isHolder ? 'Authorized ✅' : 'Not Authorized ❌'}</p>`);
+                }
+                holders.push(html`<div class="trace-record"><p><strong>${address}</strong></p>${statuses}</div>`);
+            }
+
+            const adminResults = document.getElementById('adminResults');
+            render(adminResults, html`<h4>Role Status</h4>${holders}`);
+            adminResults.classList.remove('hidden');
+
+            this.showStatus('Role status retrieved successfully!', 'success');
+        } catch (error) {
+            console.error('Check roles failed:', error);
+            this.showStatus('Failed to check roles: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // Rebuilds the list of current role holders from the role-change events
+    async refreshRoster() {
+        const roleRoster = document.getElementById('roleRoster');
+        if (!this.indexer) {
+            render(roleRoster, html`<p>Roster unavailable: it is built from the event index, which needs the public RPC endpoint</p>`);
+            roleRoster.classList.remove('hidden');
+            this.showStatus('Roster unavailable: the public RPC endpoint is unreachable', 'error');
+            return;
+        }
+
+        try {
+            await this.indexer.sync();
+            const roles = this.adapter.roles();
+            const events = [];
+            for (const role of roles) {
+                events.push(...await this.indexer.getEventsByName(ROLES[role].event));
+            }
+            const roster = buildRoleRoster(events.sort(compareLogPosition));
+
+            render(roleRoster, roles.map(role => html`
+                <h4>${ROLES[role].label}s (${roster[role].length})</h4>
+                ${roster[role].map(holder => html`<p>${holder.address} <small>(since block ${holder.since.blockNumber})</small></p>`)}
+            `));
+            roleRoster.classList.remove('hidden');
+        } catch (error) {
+            console.error('Refresh roster failed:', error);
+            this.showStatus('Failed to load role holders: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // Pause state for the owner's contract controls; only the string-ID contract can be paused
+    async refreshContractControl() {
+        if (!this.adapter.supports('pause')) return;
+
+        try {
+            const paused = await this.adapter.isPaused();
+            const pauseState = document.getElementById('pauseState');
+            pauseState.textContent = paused ? '⏸️ Paused: new products are rejected' : '▶️ Active';
+            pauseState.className = `status ${paused ? 'error' : 'success'}`;
+            document.getElementById('togglePause').textContent = paused ? 'Resume Contract' : 'Pause Contract';
+        } catch (error) {
+            console.error('Failed to load pause state:', error);
+        }
+    }
+
+    async togglePause() {
+        if (!await this.ensureSigner()) return;
+
+        try {
+            const paused = await this.adapter.isPaused();
+            this.showStatus(paused ? 'Resuming contract...' : 'Pausing contract...', 'info');
+            await this.transactions.send({
+                action: paused ? 'Resume contract' : 'Pause contract',
+                ...this.adapter.setPaused(!paused)
+            });
+            this.showStatus(paused ? 'Contract resumed' : 'Contract paused', 'success');
+            await this.refreshContractControl();
+        } catch (error) {
+            console.error('Toggle pause failed:', error);
+            this.showStatus('Failed to change the pause state: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // Ownership moves in one transaction with no way back, so the address is typed twice
+    async transferOwnership() {
+        if (!await this.ensureSigner()) return;
 
-        if (!supplierCount || !quantity) {
-            this.showStatus('Please enter valid supplier count and quantity', 'error');
+        const newOwner = document.getElementById('newOwnerAddress').value.trim();
+        const confirmation = document.getElementById('confirmOwnerAddress').value.trim();
+
+        if (!ethers.utils.isAddress(newOwner) || newOwner === ethers.constants.AddressZero) {
+            this.showStatus('Please enter a valid new owner address', 'error');
+            return;
+        }
+        if (newOwner.toLowerCase() !== confirmation.toLowerCase()) {
+            this.showStatus('The two addresses do not match', 'error');
+            return;
+        }
+        if (this.isCurrentUser(newOwner)) {
+            this.showStatus('That address already owns the contract', 'error');
             return;
         }
 
         try {
+            this.showStatus('Transferring ownership...', 'info');
+            await this.transactions.send({
+                action: 'Transfer ownership',
+                args: { newOwner: ethers.utils.getAddress(newOwner) },
+                ...this.adapter.transferOwnership(ethers.utils.getAddress(newOwner))
+            });
+            this.showStatus(`Ownership transferred to ${ethers.utils.getAddress(newOwner)}`, 'success');
+
+            document.getElementById('newOwnerAddress').value = '';
+            document.getElementById('confirmOwnerAddress').value = '';
+            await this.checkAuthorizations();
+        } catch (error) {
+            console.error('Transfer ownership failed:', error);
+            this.showStatus('Failed to transfer ownership: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    renderRoleResults(role, results) {
+        const adminResults = document.getElementById('adminResults');
+        render(adminResults, html`<h4>${role.label} Role Updates</h4>${results.map(result => html`
+            <p><strong>${result.address}:</strong> ${result.status}</p>
+        `)}`);
+        adminResults.classList.remove('hidden');
+    }
+
+    async createBatch() {
+        if (!await this.ensureSigner()) return;
+
+        const supplierCount = parseInt(document.getElementById('supplierCount').value);
+        const quantity = parseInt(document.getElementById('batchQuantity').value);
+
+        try {
+            this.showStatus('Encrypting batch data...', 'info');
+            const prepared = await this.client.prepareCreateBatch({ supplierCount, quantity });
+            if (!prepared.ok) {
+                this.showClientError(prepared.error);
+                return;
+            }
+
             this.showStatus('Creating batch...', 'info');
-            const tx = await this.contract.createBatch(supplierCount, quantity);
-            const receipt = await tx.wait();
+            const receipt = await this.transactions.send({ action: 'Create batch', ...prepared.value });
 
             // Extract batch ID from events
             const event = receipt.events?.find(e => e.event === 'BatchCreated');
@@ -208,6 +697,7 @@ class PrivacyTraceabilityApp {
             document.getElementById('batchQuantity').value = '';
 
             await this.refreshBatches();
+            await this.refreshOwnedBatches();
         } catch (error) {
             console.error('Create batch failed:', error);
             this.showStatus('Failed to create batch: ' + this.getErrorMessage(error), 'error');
@@ -215,7 +705,7 @@ class PrivacyTraceabilityApp {
     }
 
     async registerProduct() {
-        if (!this.ensureConnected()) return;
+        if (!await this.ensureSigner()) return;
 
         const manufacturerId = parseInt(document.getElementById('manufacturerId').value);
         const qualityScore = parseInt(document.getElementById('qualityScore').value);
@@ -223,20 +713,16 @@ class PrivacyTraceabilityApp {
         const batchId = parseInt(document.getElementById('productBatchId').value);
         const category = document.getElementById('productCategory').value;
 
-        if (!manufacturerId || qualityScore === undefined || !cost || !batchId || !category) {
-            this.showStatus('Please fill all product registration fields', 'error');
-            return;
-        }
-
-        if (qualityScore < 0 || qualityScore > 100) {
-            this.showStatus('Quality score must be between 0 and 100', 'error');
-            return;
-        }
-
         try {
+            this.showStatus('Encrypting product data...', 'info');
+            const prepared = await this.client.prepareRegisterProduct({ manufacturerId, qualityScore, cost, batchId, category });
+            if (!prepared.ok) {
+                this.showClientError(prepared.error);
+                return;
+            }
+
             this.showStatus('Registering product...', 'info');
-            const tx = await this.contract.registerProduct(manufacturerId, qualityScore, cost, batchId, category);
-            const receipt = await tx.wait();
+            const receipt = await this.transactions.send({ action: 'Register product', ...prepared.value });
 
             // Extract product ID from events
             const event = receipt.events?.find(e => e.event === 'ProductRegistered');
@@ -250,6 +736,7 @@ class PrivacyTraceabilityApp {
             document.getElementById('productCost').value = '';
             document.getElementById('productBatchId').value = '';
             document.getElementById('productCategory').value = '';
+            this.renderDirectoryHints();
 
             await this.refreshProducts();
         } catch (error) {
@@ -258,177 +745,1719 @@ class PrivacyTraceabilityApp {
         }
     }
 
-    async sealBatch() {
-        if (!this.ensureConnected()) return;
+    // Parses the chosen file and validates every row before anything is sent
+    async loadImportFile() {
+        if (!await this.ensureSigner()) return;
 
-        const batchId = parseInt(document.getElementById('sealBatchId').value);
+        const file = document.getElementById('importFile').files[0];
+        const batchId = parseInt(document.getElementById('importBatchId').value);
 
-        if (!batchId) {
-            this.showStatus('Please enter a valid batch ID', 'error');
+        if (!file || !batchId) {
+            this.showStatus('Please choose a batch and a CSV or JSON file', 'error');
             return;
         }
 
         try {
-            this.showStatus('Sealing batch...', 'info');
-            const tx = await this.contract.sealBatch(batchId);
-            await tx.wait();
-            this.showStatus(`Batch ${batchId} sealed successfully!`, 'success');
+            const rows = parseImportFile(await file.text(), file.name);
+            if (rows.length === 0) {
+                this.showStatus('The import file contains no products', 'error');
+                return;
+            }
 
-            document.getElementById('sealBatchId').value = '';
+            const batchError = validateBatchForRegistration(await this.readContract.getBatchInfo(batchId), this.userAddress);
+            if (batchError) {
+                this.showStatus(`Cannot import into batch ${batchId}: ${batchError}`, 'error');
+                return;
+            }
+
+            const results = validateImportRows(rows, batchId);
+            const invalid = results.filter(result => result.errors.length > 0);
+
+            const importStatus = document.getElementById('importStatus');
+            render(importStatus, html`
+                <h4>${rows.length} product(s) for Batch ${batchId}</h4>
+                ${results.map(({ row, errors }, index) => html`
+                    <p><strong>Row ${index + 1}:</strong> ${row.category || '—'} — ${errors.length > 0 ? `❌ ${errors.join('; ')}` : '✅ Valid'}</p>
+                `)}
+            `);
+            importStatus.classList.remove('hidden');
+
+            if (invalid.length > 0) {
+                this.importRows = null;
+                document.getElementById('startImport').disabled = true;
+                this.showStatus(`${invalid.length} row(s) failed validation; fix the file and load it again`, 'error');
+                return;
+            }
+
+            this.importRows = { batchId, rows };
+            document.getElementById('startImport').disabled = false;
+            this.showStatus(`All ${rows.length} rows are valid. Start the import when ready.`, 'success');
         } catch (error) {
-            console.error('Seal batch failed:', error);
-            this.showStatus('Failed to seal batch: ' + this.getErrorMessage(error), 'error');
+            console.error('Load import failed:', error);
+            this.showStatus('Failed to read import file: ' + this.getErrorMessage(error), 'error');
         }
     }
 
-    async addTraceRecord() {
-        if (!this.ensureConnected()) return;
+    async startImport() {
+        if (!await this.ensureSigner()) return;
 
-        const productId = parseInt(document.getElementById('traceProductId').value);
-        const locationId = parseInt(document.getElementById('locationId').value);
-        const handlerId = parseInt(document.getElementById('handlerId').value);
-        const qualityCheck = document.getElementById('qualityCheck').value === 'true';
-        const eventType = document.getElementById('eventType').value;
+        if (!this.importRows) {
+            this.showStatus('Load and validate an import file first', 'error');
+            return;
+        }
 
-        if (!productId || !locationId || !handlerId || !eventType) {
-            this.showStatus('Please fill all trace record fields', 'error');
+        if (this.importJob && !this.importJob.isFinished()) {
+            this.showStatus('An unfinished import exists; resume or discard it first', 'error');
             return;
         }
 
-        try {
-            this.showStatus('Adding trace record...', 'info');
-            const tx = await this.contract.addTraceRecord(productId, locationId, handlerId, qualityCheck, eventType);
-            await tx.wait();
-            this.showStatus(`Trace record added successfully for Product ID: ${productId}`, 'success');
+        this.importJob = BulkImportJob.create(this.getImportStorageKey(), this.importRows.batchId, this.importRows.rows);
+        this.importRows = null;
+        document.getElementById('startImport').disabled = true;
+        await this.runImportJob();
+    }
 
-            // Clear form
-            document.getElementById('traceProductId').value = '';
-            document.getElementById('locationId').value = '';
-            document.getElementById('handlerId').value = '';
-            document.getElementById('qualityCheck').value = 'true';
-            document.getElementById('eventType').value = '';
-        } catch (error) {
-            console.error('Add trace record failed:', error);
-            this.showStatus('Failed to add trace record: ' + this.getErrorMessage(error), 'error');
-        }
+    async resumeImport() {
+        if (!await this.ensureSigner() || !this.importJob) return;
+
+        this.importJob.retryFailed();
+        await this.runImportJob();
     }
 
-    async queryProduct() {
-        if (!this.ensureConnected()) return;
+    discardImport() {
+        if (!this.importJob) return;
 
-        const productId = parseInt(document.getElementById('queryProductId').value);
+        this.importJob.discard();
+        this.importJob = null;
+        this.renderImportJob();
+        this.showStatus('Import job discarded', 'info');
+    }
 
-        if (!productId) {
-            this.showStatus('Please enter a valid product ID', 'error');
-            return;
-        }
+    async runImportJob() {
+        const job = this.importJob;
 
         try {
-            this.showStatus('Querying product...', 'info');
-            const result = await this.contract.getProductInfo(productId);
-
-            const productInfo = document.getElementById('productInfo');
-            productInfo.innerHTML = `
-                <h4>Product ID: ${productId}</h4>
-                <p><strong>Manufacturer:</strong> ${result.manufacturer}</p>
-                <p><strong>Batch ID:</strong> ${result.batchId.toString()}</p>
-                <p><strong>Category:</strong> ${result.category}</p>
-                <p><strong>Trace Records:</strong> ${result.traceRecordCount.toString()}</p>
-            `;
-            productInfo.classList.remove('hidden');
+            this.showStatus(`Importing ${job.state.rows.length} products; confirm each transaction in your wallet`, 'info');
+            await job.run({
+                transactions: this.transactions,
+                encryptInputs: (fields) => this.encryptInputs(fields),
+                onUpdate: () => this.renderImportJob()
+            });
 
-            this.showStatus('Product information retrieved successfully!', 'success');
+            const counts = job.summary();
+            if (counts.failed > 0) {
+                this.showStatus(`Import finished: ${counts.confirmed} registered, ${counts.failed} failed`, 'error');
+            } else {
+                this.showStatus(`Import finished: ${counts.confirmed} products registered`, 'success');
+            }
+            await this.refreshProducts();
         } catch (error) {
-            console.error('Query product failed:', error);
-            this.showStatus('Failed to query product: ' + this.getErrorMessage(error), 'error');
+            console.error('Bulk import failed:', error);
+            this.showStatus('Import interrupted: ' + this.getErrorMessage(error) + '. Resume to continue.', 'error');
         }
+        this.renderImportJob();
     }
 
-    async queryBatch() {
-        if (!this.ensureConnected()) return;
+    // Picks up an import saved by a previous page load for this wallet and contract
+    restoreImportJob() {
+        this.importJob = BulkImportJob.load(this.getImportStorageKey());
+        this.renderImportJob();
 
-        const batchId = parseInt(document.getElementById('queryBatchId').value);
+        if (this.importJob && !this.importJob.isFinished()) {
+            this.showStatus('An unfinished bulk import was found. Resume it from the Manufacturer Panel.', 'info');
+        }
+    }
 
-        if (!batchId) {
-            this.showStatus('Please enter a valid batch ID', 'error');
+    getImportStorageKey() {
+        return BulkImportJob.storageKey(this.deployment.chainId, this.deployment.address, this.userAddress);
+    }
+
+    renderImportJob() {
+        const job = this.importJob;
+        const importStatus = document.getElementById('importStatus');
+        document.getElementById('resumeImport').classList.toggle('hidden', !job || (job.isFinished() && job.summary().failed === 0));
+        document.getElementById('discardImport').classList.toggle('hidden', !job);
+
+        if (!job) {
+            clearElement(importStatus);
+            importStatus.classList.add('hidden');
             return;
         }
 
-        try {
-            this.showStatus('Querying batch...', 'info');
-            const result = await this.contract.getBatchInfo(batchId);
+        const counts = job.summary();
+        const statusLabels = {
+            pending: '⏳ Pending',
+            submitted: '📤 Submitted',
+            confirmed: '✅ Registered',
+            failed: '❌ Failed'
+        };
+
+        const rows = job.state.rows.map(row => {
+            let detail = '';
+            if (row.productId) detail = ` — Product ID: ${row.productId}`;
+            else if (row.error) detail = ` — ${row.error}`;
+            else if (row.txHash) detail = ` — ${row.txHash.slice(0, 10)}...`;
+            return html`<p><strong>Row ${row.index + 1}</strong> (${row.category}): ${statusLabels[row.status]}${detail}</p>`;
+        });
+
+        render(importStatus, html`
+            <h4>Import into Batch ${job.state.batchId}</h4>
+            <p>${counts.confirmed} registered, ${counts.submitted} submitted, ${counts.pending} pending, ${counts.failed} failed</p>
+            ${rows}
+        `);
+        importStatus.classList.remove('hidden');
+    }
 
-            const batchInfo = document.getElementById('batchInfo');
-            batchInfo.innerHTML = `
-                <h4>Batch ID: ${batchId}</h4>
-                <p><strong>Status:</strong> ${result.isSealed ? 'Sealed' : 'Open'}</p>
-                <p><strong>Owner:</strong> ${result.batchOwner}</p>
-                <p><strong>Product Count:</strong> ${result.productCount.toString()}</p>
-            `;
-            batchInfo.classList.remove('hidden');
+    // Sealing is irreversible, so the seal form opens the manifest and its checklist first
+    async reviewSeal() {
+        if (!await this.ensureSigner()) return;
 
-            this.showStatus('Batch information retrieved successfully!', 'success');
-        } catch (error) {
-            console.error('Query batch failed:', error);
-            this.showStatus('Failed to query batch: ' + this.getErrorMessage(error), 'error');
-        }
+        await this.openBatchManifest(parseInt(document.getElementById('sealBatchId').value));
     }
 
-    async getTraceHistory() {
-        if (!this.ensureConnected()) return;
+    async sealBatch() {
+        if (!await this.ensureSigner()) return;
 
-        const productId = parseInt(document.getElementById('traceHistoryId').value);
+        const manifest = this.manifest;
+        const typed = parseInt(document.getElementById('sealConfirmId').value);
 
-        if (!productId) {
-            this.showStatus('Please enter a valid product ID', 'error');
+        if (!manifest || typed !== Number(manifest.batchId)) {
+            this.showStatus(`Type ${manifest ? manifest.batchId : 'the batch ID'} to confirm which batch to seal`, 'error');
             return;
         }
 
         try {
-            this.showStatus('Getting trace history...', 'info');
-            const recordCount = await this.contract.getTraceRecordCount(productId);
-
-            if (recordCount.eq(0)) {
-                this.showStatus('No trace records found for this product', 'info');
+            const batchId = Number(manifest.batchId);
+            const prepared = await this.client.prepareSealBatch({ batchId });
+            if (!prepared.ok) {
+                this.showClientError(prepared.error);
                 return;
             }
 
-            let historyHtml = `<h4>Trace History for Product ID: ${productId}</h4>`;
-
-            for (let i = 0; i < recordCount.toNumber(); i++) {
-                try {
-                    const record = await this.contract.getPublicTraceInfo(productId, i);
-                    historyHtml += `
-                        <div class="trace-record">
-                            <p><strong>Record ${i + 1}:</strong></p>
-                            <p><strong>Recorder:</strong> ${record.recorder}</p>
-                            <p><strong>Event Type:</strong> ${record.eventType}</p>
-                        </div>
-                    `;
-                } catch (recordError) {
-                    historyHtml += `
-                        <div class="trace-record">
-                            <p><strong>Record ${i + 1}:</strong> Failed to load</p>
-                        </div>
-                    `;
-                }
-            }
-
-            const traceHistory = document.getElementById('traceHistory');
-            traceHistory.innerHTML = historyHtml;
-            traceHistory.classList.remove('hidden');
+            this.showStatus('Sealing batch...', 'info');
+            await this.transactions.send({ action: 'Seal batch', ...prepared.value });
+            this.showStatus(`Batch ${batchId} sealed successfully!`, 'success');
 
-            this.showStatus('Trace history retrieved successfully!', 'success');
+            document.getElementById('sealBatchId').value = '';
+            await this.refreshOwnedBatches();
+            await this.openBatchManifest(batchId);
+        } catch (error) {
+            console.error('Seal batch failed:', error);
+            this.showStatus('Failed to seal batch: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async openBatchManifest(batchId) {
+        if (!batchId) {
+            this.showStatus('Please enter a valid batch ID', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Building batch manifest...', 'info');
+            const total = await this.readContract.getTotalBatches();
+            if (total.lt(batchId)) {
+                this.showStatus('Invalid batch ID', 'error');
+                return;
+            }
+
+            const productIds = await this.getBatchProductIds(batchId);
+            this.manifest = await buildBatchManifest(this.readContract, batchId, productIds);
+            this.manifestPrivateChecks = null;
+            this.renderBatchManifest();
+
+            const section = document.getElementById('batchManifest');
+            section.classList.remove('hidden');
+            section.scrollIntoView({ behavior: 'smooth' });
+            this.showStatus(`Manifest for batch ${batchId} loaded`, 'success');
+        } catch (error) {
+            console.error('Open batch manifest failed:', error);
+            this.showStatus('Failed to load batch manifest: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    closeBatchManifest() {
+        this.manifest = null;
+        this.manifestPrivateChecks = null;
+        document.getElementById('batchManifest').classList.add('hidden');
+    }
+
+    renderBatchManifest() {
+        const manifest = this.manifest;
+        const isOwner = this.isCurrentUser(manifest.batchOwner);
+        const checks = assessSealReadiness(manifest, this.manifestPrivateChecks);
+
+        const rows = manifest.products.map(product => html`
+            <tr>
+                <td>${product.productId}</td>
+                <td>${product.category}</td>
+                <td>${product.traceRecordCount}</td>
+                <td>${product.manufacturer}</td>
+            </tr>
+        `);
+
+        render(document.getElementById('batchManifestBody'), html`
+            <h4>Batch ID: ${manifest.batchId} · ${manifest.isSealed ? 'Sealed 🔒' : 'Open'}</h4>
+            <p><strong>Owner:</strong> ${manifest.batchOwner}</p>
+            <table class="manifest-table">
+                <tr><th>Product</th><th>Category</th><th>Trace Records</th><th>Manufacturer</th></tr>
+                ${rows.length > 0 ? rows : html`<tr><td colspan="4">No products registered</td></tr>`}
+            </table>
+            ${!manifest.isSealed && html`
+                <h4>Seal Readiness</h4>
+                ${checks.map(check => html`<p>${SEAL_CHECK_ICONS[check.status]} <strong>${check.label}:</strong> ${check.detail}</p>`)}
+            `}
+        `);
+
+        const canSeal = isOwner && !manifest.isSealed && !!this.client;
+        document.getElementById('runSealPrivateChecks').classList.toggle(
+            'hidden', !canSeal || !this.adapter.supports('encryptedFields') || this.manifestPrivateChecks !== null);
+        document.getElementById('sealStep').classList.toggle('hidden', !canSeal);
+        document.getElementById('sealConfirmId').value = '';
+
+        const attention = checks.filter(check => check.status === 'warn' || check.status === 'fail').length;
+        document.getElementById('sealSummary').textContent =
+            `Sealing batch ${manifest.batchId} permanently locks it at ${manifest.productCount} product(s): ` +
+            'no more products can be registered into it and it cannot be reopened. Trace records can still be added to its products.' +
+            (attention > 0 ? ` ${attention} readiness check(s) above need attention.` : '');
+    }
+
+    // One decryption request covers the declared quantity and every quality check this wallet recorded
+    async runSealPrivateChecks() {
+        if (!await this.ensureSigner() || !this.manifest) return;
+
+        const manifest = this.manifest;
+        try {
+            const batch = await this.readContract.batches(manifest.batchId);
+            const qualityChecks = [];
+            const handles = [batch.encryptedQuantity];
+
+            for (const product of manifest.products) {
+                for (let index = 0; index < product.traceRecordCount; index++) {
+                    const record = await this.readContract.productTraceHistory(product.productId, index);
+                    const own = this.isCurrentUser(record.recorder);
+                    qualityChecks.push({ productId: product.productId, index, passed: null, handle: own ? record.encryptedQualityCheck : null });
+                    if (own) handles.push(record.encryptedQualityCheck);
+                }
+            }
+
+            this.showStatus('Sign the decryption request in your wallet...', 'info');
+            const values = await this.decryptHandles(handles);
+            const results = new Map(handles.map((handle, i) => [handle, values[i]]));
+
+            this.manifestPrivateChecks = {
+                declaredQuantity: values[0] === null ? null : Number(values[0]),
+                qualityChecks: qualityChecks.map(({ handle, ...check }) => ({
+                    ...check,
+                    passed: handle && results.get(handle) !== null ? results.get(handle) === true : null
+                }))
+            };
+            this.renderBatchManifest();
+            this.showStatus('Private readiness checks decrypted', 'success');
+        } catch (error) {
+            console.error('Seal readiness decryption failed:', error);
+            this.showStatus('Failed to decrypt readiness checks: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async addTraceRecord() {
+        const fields = {
+            productId: parseInt(document.getElementById('traceProductId').value),
+            locationId: parseInt(document.getElementById('locationId').value),
+            handlerId: parseInt(document.getElementById('handlerId').value),
+            qualityCheck: document.getElementById('qualityCheck').value === 'true',
+            eventType: document.getElementById('eventType').value
+        };
+
+        // Without connectivity the record waits in the outbox instead of being lost
+        if (!navigator.onLine) {
+            const problems = validateTraceFields(fields);
+            if (problems.length > 0) {
+                this.showStatus(problems.join('. '), 'error');
+                return;
+            }
+            await this.queueTraceRecord(fields);
+            return;
+        }
+
+        if (!await this.ensureSigner()) return;
+
+        try {
+            this.showStatus('Encrypting trace data...', 'info');
+            const prepared = await this.client.prepareAddTraceRecord(fields);
+            if (!prepared.ok) {
+                this.showClientError(prepared.error);
+                return;
+            }
+
+            this.showStatus('Adding trace record...', 'info');
+            await this.transactions.send({ action: 'Add trace record', ...prepared.value });
+            this.showStatus(`Trace record added successfully for Product ID: ${fields.productId}`, 'success');
+            this.clearTraceForm();
+        } catch (error) {
+            console.error('Add trace record failed:', error);
+            if (decodeContractError(error).code === 'NETWORK_ERROR') {
+                await this.queueTraceRecord(fields);
+                return;
+            }
+            this.showStatus('Failed to add trace record: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    clearTraceForm() {
+        document.getElementById('traceProductId').value = '';
+        document.getElementById('locationId').value = '';
+        document.getElementById('handlerId').value = '';
+        document.getElementById('qualityCheck').value = 'true';
+        document.getElementById('eventType').value = '';
+        this.renderDirectoryHints();
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    // The queue is the connected wallet's and is encrypted under the directory's key, so it is only
+    // open while a wallet is connected and the directory is unlocked
+    async loadOutbox() {
+        this.outbox = null;
+        this.outboxReviewed = false;
+        if (this.userAddress && this.directory.isUnlocked()) {
+            const outbox = new TraceOutbox(
+                TraceOutbox.storageKey(this.deployment.chainId, this.deployment.address, this.userAddress),
+                this.directory.key
+            );
+            try {
+                await outbox.load();
+                this.outbox = outbox;
+            } catch (error) {
+                console.error('Open offline queue failed:', error);
+                this.showStatus(error.message, 'error');
+            }
+        }
+        this.renderOutbox();
+    }
+
+    async queueTraceRecord(fields) {
+        if (!this.outbox) {
+            this.showStatus('Offline: connect your wallet and unlock the directory to queue trace records on this device', 'error');
+            return;
+        }
+
+        await this.outbox.add(fields, this.userAddress);
+        this.outboxReviewed = false;
+        this.clearTraceForm();
+        this.renderOutbox();
+        this.showStatus(`Offline: trace record for Product ID ${fields.productId} saved to the queue; review and submit it once you are back online`, 'info');
+    }
+
+    async handleConnectivityChange() {
+        this.renderOutbox();
+        if (!this.outbox) return;
+
+        const waiting = this.outbox.outstanding().length;
+        if (navigator.onLine && waiting > 0) {
+            this.showStatus(`Back online: ${waiting} queued trace record(s) are waiting for review`, 'info');
+            if (this.client) {
+                await this.reviewOutbox();
+            }
+        }
+    }
+
+    // Checks every waiting item against the product's on-chain history before anything is sent
+    async reviewOutbox() {
+        if (!await this.ensureSigner() || !this.outbox) return;
+
+        const items = this.outbox.outstanding();
+        if (items.length === 0) {
+            this.showStatus('The queue has nothing waiting to be submitted', 'info');
+            return;
+        }
+
+        try {
+            this.showStatus('Checking queued records against on-chain history...', 'info');
+            const history = {};
+            for (const productId of new Set(items.map(item => item.productId))) {
+                const count = (await this.readContract.getTraceRecordCount(productId)).toNumber();
+                history[productId] = await this.getTraceRecords(productId, count);
+            }
+
+            const duplicates = findOutboxDuplicates(items, history, this.userAddress);
+            for (const [id, reason] of duplicates) {
+                await this.outbox.update(id, { status: 'duplicate', duplicateOf: reason });
+            }
+            this.outboxReviewed = true;
+            this.renderOutbox();
+
+            const ready = items.length - duplicates.size;
+            this.showStatus(`${ready} queued record(s) ready to submit` +
+                (duplicates.size > 0 ? `, ${duplicates.size} flagged as possible duplicates` : ''), duplicates.size > 0 ? 'error' : 'success');
+        } catch (error) {
+            console.error('Review queue failed:', error);
+            this.showStatus('Failed to review the queue: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // Sends the reviewed items oldest first, one confirmed transaction at a time
+    async submitOutbox() {
+        if (!this.outboxReviewed) {
+            await this.reviewOutbox();
+            if (!this.outboxReviewed) return;
+        }
+        if (!await this.ensureSigner() || !this.outbox) return;
+
+        let submitted = 0;
+        let failed = 0;
+        for (const item of this.outbox.outstanding()) {
+            try {
+                this.showStatus(`Submitting ${item.eventType} for Product ID ${item.productId}...`, 'info');
+                const prepared = await this.client.prepareAddTraceRecord(item);
+                if (!prepared.ok) {
+                    await this.outbox.update(item.id, { status: 'failed', error: prepared.error.message });
+                    failed++;
+                    continue;
+                }
+
+                const receipt = await this.transactions.send({ action: 'Add trace record', ...prepared.value });
+                await this.outbox.update(item.id, { status: 'submitted', txHash: receipt.transactionHash, error: null });
+                submitted++;
+            } catch (error) {
+                console.error('Queued trace record failed:', error);
+                const decoded = decodeContractError(error);
+                await this.outbox.update(item.id, { status: 'failed', error: decoded.message });
+                failed++;
+                // Offline again, or the user stopped confirming: leave the rest for later
+                if (decoded.code === 'NETWORK_ERROR' || decoded.code === 'USER_REJECTED') break;
+            } finally {
+                this.renderOutbox();
+            }
+        }
+
+        const remaining = this.outbox.outstanding().length - failed;
+        this.showStatus(`Queue: ${submitted} submitted, ${failed} failed` + (remaining > 0 ? `, ${remaining} still waiting` : ''),
+            failed > 0 ? 'error' : 'success');
+    }
+
+    async handleOutboxAction(action, id) {
+        if (action === 'remove') {
+            await this.outbox.remove(id);
+        } else if (action === 'force') {
+            await this.outbox.update(id, { status: 'queued', force: true, duplicateOf: null });
+        }
+        this.renderOutbox();
+    }
+
+    async clearSubmittedOutbox() {
+        await this.outbox.clearSubmitted();
+        this.renderOutbox();
+    }
+
+    renderOutbox() {
+        const items = this.outbox ? this.outbox.items : [];
+        const waiting = this.outbox ? this.outbox.outstanding().length : 0;
+        const outboxStatus = document.getElementById('outboxStatus');
+        outboxStatus.textContent = this.outbox
+            ? `${navigator.onLine ? '🟢 Online' : '🔴 Offline: new trace records are queued'} · ${waiting} waiting`
+            : `${navigator.onLine ? '🟢 Online' : '🔴 Offline'} · connect a wallet and unlock the directory to use the queue`;
+        outboxStatus.className = `status ${navigator.onLine ? 'info' : 'error'}`;
+
+        const labels = {
+            queued: '⏳ Queued',
+            duplicate: '⚠️ Possible duplicate',
+            submitted: '✅ Submitted',
+            failed: '❌ Failed'
+        };
+        render(document.getElementById('outboxItems'), items.map(item => html`
+            <div class="trace-record">
+                <p><strong>${item.eventType}</strong> · Product ID ${item.productId} · ${labels[item.status]}</p>
+                <p><small>Captured ${this.formatTimestamp(item.capturedAt)} · Location ${this.describeDirectoryId('location', item.locationId)} · Handler ${this.describeDirectoryId('handler', item.handlerId)} · Quality ${item.qualityCheck ? 'passed' : 'failed'}</small></p>
+                ${item.duplicateOf && html`<p>${item.duplicateOf}</p>`}
+                ${item.error && html`<p>${item.error}</p>`}
+                ${item.txHash && html`<p><strong>Tx:</strong> ${item.txHash}</p>`}
+                ${item.status === 'duplicate' && html`<button class="btn" data-outbox-action="force" data-outbox-id="${item.id}">Submit Anyway</button>`}
+                ${item.status !== 'submitted' && html`<button class="btn" data-outbox-action="remove" data-outbox-id="${item.id}">Remove</button>`}
+            </div>
+        `));
+
+        document.getElementById('reviewOutbox').classList.toggle('hidden', waiting === 0);
+        document.getElementById('submitOutbox').classList.toggle('hidden', waiting === 0 || !navigator.onLine);
+        document.getElementById('clearSubmittedOutbox').classList.toggle('hidden', !items.some(item => item.status === 'submitted'));
+    }
+
+    async queryProduct() {
+        const productId = parseInt(document.getElementById('queryProductId').value);
+
+        if (!productId) {
+            this.showStatus('Please enter a valid product ID', 'error');
+            return;
+        }
+        this.openViews.product = productId;
+
+        try {
+            this.showStatus('Querying product...', 'info');
+            const [result, recall] = await Promise.all([
+                this.reader.views.getProductInfo(productId),
+                this.getRecall(productId)
+            ]);
+            const registration = await this.getIndexedEvents(() => this.indexer.getProductRegistration(productId));
+
+            const productInfo = document.getElementById('productInfo');
+            render(productInfo, html`
+                <h4>Product ID: ${productId}</h4>
+                ${recall && this.renderRecallNotice(recall)}
+                <p><strong>Manufacturer:</strong> ${result.manufacturer}</p>
+                <p><strong>Batch ID:</strong> ${result.batchId.toString()}</p>
+                <p><strong>Category:</strong> ${result.category}</p>
+                <p><strong>Trace Records:</strong> ${result.traceRecordCount.toString()}</p>
+                ${registration && this.renderEventMeta('Registered', registration)}
+            `);
+            productInfo.classList.remove('hidden');
+
+            if (recall) {
+                this.showStatus(`Product ${productId} is under recall`, 'error');
+            } else {
+                this.showStatus('Product information retrieved successfully!', 'success');
+            }
+        } catch (error) {
+            console.error('Query product failed:', error);
+            this.showStatus('Failed to query product: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async queryBatch() {
+        const batchId = parseInt(document.getElementById('queryBatchId').value);
+
+        if (!batchId) {
+            this.showStatus('Please enter a valid batch ID', 'error');
+            return;
+        }
+        this.openViews.batch = batchId;
+
+        try {
+            this.showStatus('Querying batch...', 'info');
+            const result = await this.reader.views.getBatchInfo(batchId);
+            const events = await this.getIndexedEvents(() => this.indexer.getBatchEvents(batchId)) || [];
+            const created = events.find(e => e.event === 'BatchCreated');
+            const sealed = events.find(e => e.event === 'BatchSealed');
+            const productIds = events.filter(e => e.event === 'ProductRegistered').map(e => e.productId);
+
+            const batchInfo = document.getElementById('batchInfo');
+            render(batchInfo, html`
+                <h4>Batch ID: ${batchId}</h4>
+                <p><strong>Status:</strong> ${result.isSealed ? 'Sealed' : 'Open'}</p>
+                <p><strong>Owner:</strong> ${result.batchOwner}</p>
+                <p><strong>Product Count:</strong> ${result.productCount.toString()}</p>
+                ${productIds.length > 0 && html`<p><strong>Products:</strong> ${productIds.join(', ')}</p>`}
+                ${created && this.renderEventMeta('Created', created)}
+                ${sealed && this.renderEventMeta('Sealed', sealed)}
+            `);
+            batchInfo.classList.remove('hidden');
+
+            this.showStatus('Batch information retrieved successfully!', 'success');
+        } catch (error) {
+            console.error('Query batch failed:', error);
+            this.showStatus('Failed to query batch: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async getTraceHistory() {
+        const productId = parseInt(document.getElementById('traceHistoryId').value);
+
+        if (!productId) {
+            this.showStatus('Please enter a valid product ID', 'error');
+            return;
+        }
+        this.openViews.trace = productId;
+
+        try {
+            this.showStatus('Getting trace history...', 'info');
+            const [recordCount, product] = await Promise.all([
+                this.reader.views.getTraceRecordCount(productId),
+                this.reader.views.getProductInfo(productId)
+            ]);
+
+            if (recordCount.eq(0)) {
+                this.showStatus('No trace records found for this product', 'info');
+                return;
+            }
+
+            const records = await this.getTraceRecords(productId, recordCount.toNumber());
+            const checked = records.filter(record => record.eventType !== null);
+            const { ruleSet, anomalies } = checkLifecycle(checked, product.category);
+
+            const traceHistory = document.getElementById('traceHistory');
+            render(traceHistory, this.renderTimeline(productId, product.category, ruleSet, records, anomalies));
+            traceHistory.classList.remove('hidden');
+
+            if (anomalies.length > 0) {
+                this.showStatus(`Trace history retrieved with ${anomalies.length} lifecycle anomal${anomalies.length === 1 ? 'y' : 'ies'}`, 'error');
+            } else {
+                this.showStatus('Trace history retrieved successfully!', 'success');
+            }
         } catch (error) {
             console.error('Get trace history failed:', error);
             this.showStatus('Failed to get trace history: ' + this.getErrorMessage(error), 'error');
         }
     }
 
-    async verifyProduct() {
-        if (!this.ensureConnected()) return;
+    // Public trace records in chain order, from the event index when it covers the product.
+    // Records that fail to load keep their place with a null eventType.
+    async getTraceRecords(productId, recordCount) {
+        const indexed = await this.getIndexedEvents(() => this.indexer.getTraceHistory(productId));
+        if (indexed && indexed.length === recordCount) {
+            return indexed.map((record, index) => ({
+                index,
+                eventType: record.eventType,
+                recorder: record.recorder,
+                timestamp: record.timestamp,
+                blockNumber: record.blockNumber,
+                transactionHash: record.transactionHash
+            }));
+        }
+
+        // The index does not cover this product (yet): read every record, batched into one multicall
+        return Promise.all(Array.from({ length: recordCount }, async (_, index) => {
+            const record = { index, eventType: null, recorder: null, timestamp: null, blockNumber: null, transactionHash: null };
+            try {
+                const info = await this.reader.views.getPublicTraceInfo(productId, index);
+                record.eventType = info.eventType;
+                record.recorder = info.recorder;
+            } catch (recordError) {
+                console.error(`Failed to load trace record ${index}:`, recordError);
+            }
+            return record;
+        }));
+    }
+
+    renderTimeline(productId, category, ruleSet, records, anomalies) {
+        const reached = new Set(records.map(record => record.eventType));
+        const stages = LIFECYCLE_STAGES.map(stage => html`
+            <span class="lifecycle-stage${reached.has(stage) ? ' reached' : ''}">${stage}</span>
+        `);
+
+        const hops = records.map(record => {
+            if (record.eventType === null) {
+                return html`
+                    <div class="timeline-hop">
+                        <p><strong>Record ${record.index + 1}:</strong> Failed to load</p>
+                    </div>
+                `;
+            }
+
+            const flags = anomalies.filter(anomaly => anomaly.index === record.index);
+            const severity = flags.some(flag => flag.severity === 'error') ? ' error' : (flags.length > 0 ? ' warning' : '');
+            return html`
+                <div class="timeline-hop${severity}">
+                    <p><strong>${record.index + 1}. ${record.eventType}</strong></p>
+                    <p><strong>Recorder:</strong> ${record.recorder}</p>
+                    ${record.timestamp !== null ? this.renderEventMeta('Recorded', record) : html`<p><small>Sync the event index for block timestamps</small></p>`}
+                    ${flags.map(flag => html`<p class="timeline-flag">${flag.severity === 'error' ? '⛔' : '⚠️'} ${flag.message}</p>`)}
+                </div>
+            `;
+        });
+
+        return html`
+            <h4>Trace History for Product ID: ${productId}</h4>
+            <p><strong>Category:</strong> ${category} · <strong>Rules:</strong> ${ruleSet} · ${anomalies.length === 0 ? '✅ No anomalies' : `${anomalies.length} anomal${anomalies.length === 1 ? 'y' : 'ies'}`}</p>
+            <div class="lifecycle-stages">${stages}</div>
+            <div class="timeline">${hops}</div>
+        `;
+    }
+
+    async verifyProduct() {
+        const productId = parseInt(document.getElementById('verifyProductId').value);
+
+        if (!productId) {
+            this.showStatus('Please enter a valid product ID', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Verifying product authenticity...', 'info');
+            const isAuthentic = await this.readContract.verifyProductAuthenticity(productId);
+            const recall = isAuthentic ? await this.getRecall(productId) : null;
+
+            const verifyResult = document.getElementById('verifyResult');
+            render(verifyResult, html`
+                <h4>Verification Result for Product ID: ${productId}</h4>
+                <p class="status ${isAuthentic ? 'success' : 'error'}">
+                    <strong>${isAuthentic ? '✅ AUTHENTIC' : '❌ NOT AUTHENTIC'}</strong>
+                </p>
+                ${recall && this.renderRecallNotice(recall)}
+                <p>${isAuthentic ? 'This product is verified as authentic.' : 'This product could not be verified as authentic.'}</p>
+            `);
+            verifyResult.classList.remove('hidden');
+
+            this.showStatus(`Product verification completed: ${isAuthentic ? 'Authentic' : 'Not Authentic'}${recall ? ', but recalled' : ''}`,
+                isAuthentic && !recall ? 'success' : 'error');
+        } catch (error) {
+            console.error('Verify product failed:', error);
+            this.showStatus('Failed to verify product: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async lookupProduct() {
+        const productId = document.getElementById('lookupProductId').value.trim();
+
+        if (!productId) {
+            this.showStatus('Please enter a product ID', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Fetching product information...', 'info');
+            const lookupResult = document.getElementById('lookupResult');
+
+            if (!await this.adapter.verifyProduct(productId)) {
+                render(lookupResult, html`<p class="status error">Product ${productId} is not registered.</p>`);
+                lookupResult.classList.remove('hidden');
+                this.showStatus('Product not found', 'error');
+                return;
+            }
+
+            const product = await this.adapter.getProduct(productId);
+            render(lookupResult, html`
+                <h4>Product ID: ${productId}</h4>
+                <p><strong>Name:</strong> ${product.productName}</p>
+                <p><strong>Manufacturer:</strong> ${product.manufacturer}</p>
+                <p><strong>Added:</strong> ${this.formatTimestamp(product.timestamp.toNumber())}</p>
+            `);
+            lookupResult.classList.remove('hidden');
+
+            this.showStatus('Product information retrieved successfully!', 'success');
+        } catch (error) {
+            console.error('Lookup product failed:', error);
+            this.showStatus('Failed to get product info: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async bulkVerifyProducts() {
+        const productIds = parseIdList(document.getElementById('bulkVerifyIds').value);
+
+        if (productIds.length === 0) {
+            this.showStatus('Please paste at least one product ID', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus(`Verifying ${productIds.length} product(s)...`, 'info');
+            const results = await this.adapter.bulkVerify(productIds);
+            const found = results.filter(Boolean).length;
+
+            const bulkVerifyResult = document.getElementById('bulkVerifyResult');
+            render(bulkVerifyResult, html`
+                <h4>${found} of ${productIds.length} verified</h4>
+                ${productIds.map((productId, i) => html`<p>${results[i] ? '✅' : '❌'} ${productId}</p>`)}
+            `);
+            bulkVerifyResult.classList.remove('hidden');
+
+            this.showStatus(`Bulk verification completed: ${found} of ${productIds.length} verified`,
+                found === productIds.length ? 'success' : 'error');
+        } catch (error) {
+            console.error('Bulk verify failed:', error);
+            this.showStatus('Failed to verify products: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async revealProduct() {
+        if (!await this.ensureSigner()) return;
+
+        const productId = parseInt(document.getElementById('queryProductId').value);
+
+        if (!productId) {
+            this.showStatus('Please enter a valid product ID', 'error');
+            return;
+        }
+
+        try {
+            const product = await this.readContract.products(productId);
+
+            if (!product.exists) {
+                this.showStatus('Product does not exist', 'error');
+                return;
+            }
+            if (!this.adapter.supports('decryptionAccess')) {
+                // Deployments without decryption requests only ever grant the manufacturer
+                if (!this.isCurrentUser(product.manufacturer)) {
+                    this.showStatus('Only the manufacturer who registered this product can reveal its private fields', 'error');
+                    return;
+                }
+            } else if (!await this.readContract.hasDecryptionAccess(productId, this.userAddress)) {
+                document.getElementById('decryptionProductId').value = productId;
+                this.showStatus('Your wallet has no access to this product\'s private fields yet; ask for it under Request Decryption Access', 'error');
+                return;
+            }
+
+            this.showStatus('Sign the decryption request in your wallet...', 'info');
+            await this.revealProductFields(product, 'productPrivateInfo', `Private Fields for Product ID: ${productId}`);
+
+            this.showStatus('Private product fields decrypted for your wallet', 'success');
+        } catch (error) {
+            console.error('Reveal product failed:', error);
+            this.showStatus('Failed to reveal product fields: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async revealBatch() {
+        if (!await this.ensureSigner()) return;
+
+        const batchId = parseInt(document.getElementById('queryBatchId').value);
+
+        if (!batchId) {
+            this.showStatus('Please enter a valid batch ID', 'error');
+            return;
+        }
+
+        try {
+            const batch = await this.readContract.batches(batchId);
+
+            if (batch.batchOwner === ethers.constants.AddressZero) {
+                this.showStatus('Invalid batch ID', 'error');
+                return;
+            }
+            if (!this.isCurrentUser(batch.batchOwner)) {
+                this.showStatus('Only the batch owner can reveal its private fields', 'error');
+                return;
+            }
+
+            this.showStatus('Sign the decryption request in your wallet...', 'info');
+            const values = await this.decryptHandles([
+                batch.encryptedSupplierCount,
+                batch.encryptedBatchTimestamp,
+                batch.encryptedQuantity
+            ]);
+
+            this.renderPrivateFields('batchPrivateInfo', `Private Fields for Batch ID: ${batchId}`, [
+                ['Supplier Count', values[0]],
+                ['Created', this.formatTimestamp(values[1])],
+                ['Quantity', values[2]]
+            ]);
+
+            this.showStatus('Private batch fields decrypted for your wallet', 'success');
+        } catch (error) {
+            console.error('Reveal batch failed:', error);
+            this.showStatus('Failed to reveal batch fields: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async revealTraceHistory() {
+        if (!await this.ensureSigner()) return;
+
+        const productId = parseInt(document.getElementById('traceHistoryId').value);
+
+        if (!productId) {
+            this.showStatus('Please enter a valid product ID', 'error');
+            return;
+        }
+
+        try {
+            const recordCount = (await this.reader.views.getTraceRecordCount(productId)).toNumber();
+            const records = await Promise.all(Array.from({ length: recordCount }, (_, index) =>
+                this.reader.views.productTraceHistory(productId, index)));
+
+            // Each record is only shared with the tracker who recorded it
+            const ownRecords = records
+                .map((record, index) => ({ record, index }))
+                .filter(({ record }) => this.isCurrentUser(record.recorder));
+
+            if (ownRecords.length === 0) {
+                this.showStatus('None of this product\'s trace records were recorded by your wallet', 'info');
+                return;
+            }
+
+            this.showStatus('Sign the decryption request in your wallet...', 'info');
+            const values = await this.decryptHandles(ownRecords.flatMap(({ record }) => [
+                record.encryptedLocationId,
+                record.encryptedTimestamp,
+                record.encryptedHandlerId,
+                record.encryptedQualityCheck
+            ]));
+
+            const recordViews = ownRecords.map(({ record, index }, position) => {
+                const [locationId, timestamp, handlerId, qualityCheck] = values.slice(position * 4, position * 4 + 4);
+                return html`
+                    <div class="trace-record">
+                        <p><strong>Record ${index + 1}:</strong> ${record.publicEventType}</p>
+                        <p><strong>Location ID:</strong> ${this.describeDirectoryId('location', locationId)}</p>
+                        <p><strong>Handler ID:</strong> ${this.describeDirectoryId('handler', handlerId)}</p>
+                        <p><strong>Recorded At:</strong> ${this.formatPrivateValue(this.formatTimestamp(timestamp))}</p>
+                        <p><strong>Quality Check:</strong> ${qualityCheck === null ? 'Not available' : (qualityCheck ? 'Passed ✅' : 'Failed ❌')}</p>
+                    </div>
+                `;
+            });
+
+            const tracePrivateInfo = document.getElementById('tracePrivateInfo');
+            render(tracePrivateInfo, html`
+                <h4>Private Trace Fields for Product ID: ${productId}</h4>
+                ${recordViews}
+            `);
+            tracePrivateInfo.classList.remove('hidden');
+
+            this.showStatus(`Decrypted ${ownRecords.length} of ${recordCount} trace records for your wallet`, 'success');
+        } catch (error) {
+            console.error('Reveal trace history failed:', error);
+            this.showStatus('Failed to reveal trace fields: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // User-decrypts a product's four private fields (a products() result) into elementId
+    async revealProductFields(product, elementId, title) {
+        const values = await this.decryptHandles([
+            product.encryptedManufacturerId,
+            product.encryptedProductionTimestamp,
+            product.encryptedQualityScore,
+            product.encryptedCost
+        ]);
+
+        this.renderPrivateFields(elementId, title, [
+            ['Manufacturer ID', this.describeDirectoryId('manufacturer', values[0])],
+            ['Production Time', this.formatTimestamp(values[1])],
+            ['Quality Score', values[2]],
+            ['Cost', values[3]]
+        ]);
+    }
+
+    // A request stays pending until the gateway's callback grants this wallet access to the
+    // product's ciphertexts; the values are then user-decrypted here and never appear on-chain.
+    // Wallets that already have access (the manufacturer among them) skip the transaction.
+    async requestDecryption() {
+        if (!await this.ensureSigner()) return;
+
+        const productId = parseInt(document.getElementById('decryptionProductId').value);
+
+        if (!productId) {
+            this.showStatus('Please enter a valid product ID', 'error');
+            return;
+        }
+
+        try {
+            if (await this.readContract.hasDecryptionAccess(productId, this.userAddress)) {
+                this.showStatus('Your wallet already has access; sign the decryption request in your wallet...', 'info');
+                await this.revealProductFields(await this.readContract.products(productId), 'decryptionResult', `Private Fields for Product ID: ${productId}`);
+                this.showStatus(`Product ${productId} decrypted for your wallet; no request was needed`, 'success');
+                return;
+            }
+
+            this.showStatus('Submitting decryption request...', 'info');
+            const receipt = await this.transactions.send({
+                action: 'Request decryption',
+                args: { productId },
+                method: 'requestProductDecryption',
+                params: [productId]
+            });
+            const request = await this.decryptionTracker.track(receipt);
+
+            if (request.status === 'pending') {
+                this.showStatus(`Decryption request ${request.requestId} is pending until the gateway answers`, 'info');
+            }
+            document.getElementById('decryptionProductId').value = '';
+        } catch (error) {
+            console.error('Request decryption failed:', error);
+            this.showStatus('Failed to request decryption: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // On the dev chain the node's first account stands in for the gateway when it holds that role
+    async startDecryptionTracking() {
+        this.stopDecryptionTracking();
+
+        const tracker = new DecryptionRequestTracker(this.readContract, (request) => this.handleDecryptionUpdate(request));
+        this.decryptionTracker = tracker;
+        tracker.start();
+
+        try {
+            if (this.deployment.fheBackend === 'mock') {
+                const nodeSigner = new ethers.providers.JsonRpcProvider(this.deployment.rpcUrl).getSigner(0);
+                const gateway = await this.readContract.decryptionGateway();
+                if (gateway.toLowerCase() === (await nodeSigner.getAddress()).toLowerCase() && tracker === this.decryptionTracker) {
+                    this.localGateway = new LocalDecryptionGateway(this.readContract, nodeSigner);
+                    this.localGateway.start();
+                }
+            }
+            await tracker.restore(this.userAddress, this.deployment.startBlock);
+        } catch (error) {
+            console.error('Failed to restore decryption requests:', error);
+        }
+        this.renderDecryptionRequests();
+    }
+
+    stopDecryptionTracking() {
+        if (this.decryptionTracker) {
+            this.decryptionTracker.stop();
+            this.decryptionTracker = null;
+        }
+        if (this.localGateway) {
+            this.localGateway.stop();
+            this.localGateway = null;
+        }
+        this.renderDecryptionRequests();
+    }
+
+    async handleDecryptionUpdate(request) {
+        this.renderDecryptionRequests();
+
+        if (request.status === 'timeout') {
+            this.showStatus(`Decryption request ${request.requestId} timed out without an answer from the gateway; submit a new request`, 'error');
+            return;
+        }
+        if (request.status !== 'fulfilled' || !this.isCurrentUser(request.requester)) return;
+
+        try {
+            this.showStatus(`Decryption request ${request.requestId} granted; sign the decryption request in your wallet...`, 'info');
+            const product = await this.readContract.products(request.productId);
+            await this.revealProductFields(product, 'decryptionResult', `Decryption Request ${request.requestId} for Product ID: ${request.productId}`);
+            this.showStatus(`Product ${request.productId} decrypted for your wallet`, 'success');
+        } catch (error) {
+            console.error('Reveal after decryption request failed:', error);
+            this.showStatus('Failed to reveal the granted fields: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    renderDecryptionRequests() {
+        const container = document.getElementById('decryptionRequests');
+        const requests = this.decryptionTracker ? this.decryptionTracker.list() : [];
+
+        if (requests.length === 0) {
+            clearElement(container);
+            container.classList.add('hidden');
+            return;
+        }
+
+        const statusLabels = {
+            pending: '⏳ Pending gateway callback',
+            fulfilled: '✅ Access granted',
+            timeout: '⚠️ Timed out'
+        };
+
+        render(container, requests.map(request => html`
+            <div class="trace-record">
+                <p><strong>Request ${request.requestId}</strong> — Product ID: ${request.productId}</p>
+                <p><strong>Status:</strong> ${statusLabels[request.status]}</p>
+                ${request.status === 'pending' && html`<p><strong>Answer by:</strong> ${this.formatTimestamp(request.deadline)}</p>`}
+                <p><strong>Request Tx:</strong> ${request.requestTxHash}</p>
+                ${request.callbackTxHash && html`<p><strong>Callback Tx:</strong> ${request.callbackTxHash}</p>`}
+            </div>
+        `));
+        container.classList.remove('hidden');
+    }
+
+    // Decrypts handles for the connected wallet and returns the values in the same order
+    async decryptHandles(handles) {
+        const results = await this.decryptor.decrypt(this.signer, this.deployment.address, this.userAddress, handles);
+        return handles.map(handle => results[handle]);
+    }
+
+    renderPrivateFields(elementId, title, fields) {
+        const element = document.getElementById(elementId);
+        render(element, html`
+            <h4>🔓 ${title}</h4>
+            ${fields.map(([label, value]) => html`<p><strong>${label}:</strong> ${this.formatPrivateValue(value)}</p>`)}
+        `);
+        element.classList.remove('hidden');
+    }
+
+    // Decrypted values only live in memory; hide them as soon as the wallet changes
+    clearRevealedFields() {
+        if (this.decryptor) {
+            this.decryptor.reset();
+        }
+        ['productPrivateInfo', 'batchPrivateInfo', 'tracePrivateInfo', 'decryptionResult'].forEach(id => {
+            const element = document.getElementById(id);
+            clearElement(element);
+            element.classList.add('hidden');
+        });
+    }
+
+    formatPrivateValue(value) {
+        return value === null || value === undefined ? 'Not available' : value;
+    }
+
+    formatTimestamp(value) {
+        if (value === null || value === undefined) return null;
+        return new Date(Number(value) * 1000).toLocaleString();
+    }
+
+    isCurrentUser(address) {
+        return !!this.userAddress && address.toLowerCase() === this.userAddress.toLowerCase();
+    }
+
+    async syncIndex() {
+        if (!this.indexer) {
+            this.showStatus('The event index needs the public RPC endpoint, which is unreachable', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Syncing event index...', 'info');
+            await this.indexer.sync(({ toBlock, latest }) => {
+                document.getElementById('indexStatus').textContent = `Syncing... block ${toBlock} of ${latest}`;
+            });
+            await this.renderIndexStatus();
+            this.showStatus('Event index is up to date', 'success');
+        } catch (error) {
+            console.error('Index sync failed:', error);
+            this.showStatus('Failed to sync event index: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // Brings the index up to date and runs a query against it; null when the index is unavailable
+    async getIndexedEvents(query) {
+        if (!this.indexer) return null;
+
+        try {
+            await this.indexer.sync();
+            await this.renderIndexStatus();
+            return await query();
+        } catch (error) {
+            console.error('Event index unavailable:', error);
+            return null;
+        }
+    }
+
+    async renderIndexStatus() {
+        const lastBlock = this.indexer ? await this.indexer.getLastSyncedBlock() : null;
+        document.getElementById('indexStatus').textContent =
+            lastBlock === null ? 'Not synced' : `Synced through block ${lastBlock}`;
+    }
+
+    renderEventMeta(label, record) {
+        return html`
+            <p><strong>${label}:</strong> ${this.formatTimestamp(record.timestamp)} (block ${record.blockNumber})</p>
+            <p><strong>Tx:</strong> ${record.transactionHash}</p>
+        `;
+    }
+
+    async startLiveUpdates() {
+        if (!this.adapter.supports('liveEvents')) return;
+
+        this.liveFeed = new LiveEventFeed(this.readContract, this.indexer, {
+            onEvents: (rows) => this.handleLiveEvents(rows),
+            onStatus: (status) => this.renderLiveStatus(status)
+        });
+        try {
+            await this.liveFeed.start();
+        } catch (error) {
+            console.error('Live updates unavailable:', error);
+            this.renderLiveStatus({ connected: false, block: null });
+        }
+    }
+
+    renderLiveStatus({ connected, block }) {
+        const liveStatus = document.getElementById('liveStatus');
+        if (connected) {
+            this.reader.observeBlock(block);
+            liveStatus.textContent = `🟢 Live · block ${block}`;
+            liveStatus.className = 'status success';
+        } else {
+            liveStatus.textContent = block !== null
+                ? `🟠 Reconnecting · will catch up from block ${block + 1}`
+                : '🔴 Live updates unavailable';
+            liveStatus.className = 'status error';
+        }
+    }
+
+    async handleLiveEvents(rows) {
+        const names = new Set(rows.map(row => row.event));
+        // The refreshes below must not be answered from reads cached before these events
+        this.reader.observeBlock(Math.max(...rows.map(row => row.blockNumber)));
+
+        try {
+            if (names.has('ProductRegistered')) await this.refreshProducts();
+            if (names.has('BatchCreated')) await this.refreshBatches();
+            if (names.has('BatchCreated') || names.has('BatchSealed')) await this.refreshOwnedBatches();
+            await this.refreshOpenViews(rows);
+        } catch (error) {
+            console.error('Live refresh failed:', error);
+        }
+
+        if (this.watchlist.hasBatches()) {
+            await this.resolveRowBatches(rows);
+        }
+
+        // addTraceRecord always emits QualityCheckPerformed too; one notification per record is enough
+        const traceTxs = new Set(rows.filter(row => row.event === 'TraceRecordAdded').map(row => row.transactionHash));
+        rows
+            .filter(row => this.watchlist.matches(row))
+            .filter(row => row.event !== 'QualityCheckPerformed' || !traceTxs.has(row.transactionHash))
+            .forEach(row => this.notify(this.describeLiveEvent(row)));
+    }
+
+    // Trace, quality and recall events only name the product, so a watched batch would never match
+    // them. Fills in each row's batch from a registration in the same delivery, the event index or
+    // the contract, in that order.
+    async resolveRowBatches(rows) {
+        const batches = new Map(rows
+            .filter(row => row.event === 'ProductRegistered')
+            .map(row => [row.productId, row.batchId]));
+
+        for (const row of rows) {
+            if (row.batchId !== null || row.productId === null) continue;
+
+            if (!batches.has(row.productId)) {
+                let batchId = null;
+                try {
+                    const registration = this.indexer ? await this.indexer.getProductRegistration(row.productId) : null;
+                    batchId = registration
+                        ? registration.batchId
+                        : (await this.reader.views.getProductInfo(row.productId)).batchId.toString();
+                } catch (error) {
+                    console.error(`Could not resolve the batch of product ${row.productId}:`, error);
+                }
+                batches.set(row.productId, batchId);
+            }
+            row.batchId = batches.get(row.productId);
+        }
+    }
+
+    // A view is refreshed only while its input still holds the ID it was opened with
+    async refreshOpenViews(rows) {
+        const products = new Set(rows.map(row => row.productId).filter(Boolean));
+        const batches = new Set(rows.map(row => row.batchId).filter(Boolean));
+        const isOpen = (view, inputId, touched) => {
+            const id = this.openViews[view];
+            return id !== null && touched.has(id.toString()) && parseInt(document.getElementById(inputId).value) === id;
+        };
+
+        if (isOpen('product', 'queryProductId', products)) await this.queryProduct();
+        if (isOpen('trace', 'traceHistoryId', products)) await this.getTraceHistory();
+        if (isOpen('batch', 'queryBatchId', batches)) await this.queryBatch();
+    }
+
+    describeLiveEvent(row) {
+        switch (row.event) {
+            case 'ProductRegistered':
+                return { title: `Product #${row.productId}`, body: `Registered in batch ${row.batchId}` };
+            case 'BatchCreated':
+                return { title: `Batch #${row.batchId}`, body: 'Created' };
+            case 'TraceRecordAdded':
+                return { title: `Product #${row.productId}`, body: `${row.eventType} recorded` };
+            case 'QualityCheckPerformed':
+                return { title: `Product #${row.productId}`, body: 'Quality check recorded' };
+            case 'BatchSealed':
+                return { title: `Batch #${row.batchId}`, body: 'Sealed' };
+            case 'ProductRecalled':
+                return { title: `Product #${row.productId}`, body: `Recalled: ${row.reason}` };
+            default:
+                return { title: row.event, body: `Block ${row.blockNumber}` };
+        }
+    }
+
+    notify({ title, body }) {
+        this.notifications = [{ title, body, at: Date.now() }, ...this.notifications].slice(0, LIVE_NOTIFICATION_LIMIT);
+        this.renderNotifications();
+        this.showStatus(`🔔 ${title}: ${body}`, 'info');
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(title, { body });
+        }
+    }
+
+    renderNotifications() {
+        render(document.getElementById('notificationList'), this.notifications.length === 0
+            ? html`<p>No notifications yet.</p>`
+            : this.notifications.map(notification => html`
+                <div class="trace-record">
+                    <p><strong>${notification.title}</strong> — ${notification.body}</p>
+                    <p><small>${new Date(notification.at).toLocaleString()}</small></p>
+                </div>
+            `));
+    }
+
+    clearNotifications() {
+        this.notifications = [];
+        this.renderNotifications();
+    }
+
+    async enableBrowserNotifications() {
+        if (!('Notification' in window)) {
+            this.showStatus('This browser does not support notifications', 'error');
+            return;
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission === 'granted') {
+            this.showStatus('Browser notifications enabled for watched items', 'success');
+        } else {
+            this.showStatus('Browser notifications were not allowed', 'error');
+        }
+    }
+
+    // Watchlists are kept per wallet; read-only visitors get their own list
+    loadWatchlist() {
+        this.watchlist = new Watchlist(Watchlist.storageKey(this.deployment.chainId, this.deployment.address, this.userAddress));
+        this.renderWatchlist();
+    }
+
+    addToWatchlist(kind, inputId) {
+        const id = parseInt(document.getElementById(inputId).value);
+
+        if (!id || id < 1) {
+            this.showStatus(`Please enter a valid ${kind} ID`, 'error');
+            return;
+        }
+
+        if (this.watchlist.add(kind, id.toString())) {
+            this.showStatus(`Watching ${kind} ${id}`, 'success');
+        } else {
+            this.showStatus(`Already watching ${kind} ${id}`, 'info');
+        }
+        document.getElementById(inputId).value = '';
+        this.renderWatchlist();
+    }
+
+    removeFromWatchlist(kind, id) {
+        this.watchlist.remove(kind, id);
+        this.renderWatchlist();
+    }
+
+    renderWatchlist() {
+        const { product, batch } = this.watchlist.items;
+        const renderItems = (kind, label, ids) => ids.map(id => html`
+            <p>${label} #${id} <button class="btn" data-watch-kind="${kind}" data-watch-id="${id}">Remove</button></p>
+        `);
+
+        render(document.getElementById('watchlistItems'), product.length + batch.length === 0
+            ? html`<p>Nothing watched yet.</p>`
+            : [renderItems('product', 'Product', product), renderItems('batch', 'Batch', batch)]);
+    }
+
+    renderRecallScope() {
+        const scope = document.getElementById('recallScope').value;
+        document.getElementById('recallBatchGroup').classList.toggle('hidden', scope !== 'batch');
+        document.getElementById('recallTrackerGroup').classList.toggle('hidden', scope !== 'tracker');
+        document.getElementById('recallCategoryGroup').classList.toggle('hidden', scope !== 'category');
+        document.getElementById('recallWindowGroup').classList.toggle('hidden', scope === 'batch');
+    }
+
+    // Returns { criteria } or { error } from the recall form; the dates cover whole local days
+    readRecallCriteria() {
+        const scope = document.getElementById('recallScope').value;
+        const fromValue = document.getElementById('recallFrom').value;
+        const toValue = document.getElementById('recallTo').value;
+        const from = fromValue ? Math.floor(new Date(`${fromValue}T00:00:00`).getTime() / 1000) : null;
+        const to = toValue ? Math.floor(new Date(`${toValue}T23:59:59`).getTime() / 1000) : null;
+
+        if (scope === 'batch') {
+            const batchId = parseInt(document.getElementById('recallBatchId').value);
+            return batchId ? { criteria: { scope, batchId } } : { error: 'Please enter a valid batch ID' };
+        }
+        if (from !== null && to !== null && from > to) {
+            return { error: 'The time window ends before it starts' };
+        }
+        if (scope === 'tracker') {
+            const tracker = document.getElementById('recallTracker').value.trim();
+            return ethers.utils.isAddress(tracker)
+                ? { criteria: { scope, tracker: ethers.utils.getAddress(tracker), from, to } }
+                : { error: 'Please enter a valid tracker address' };
+        }
+
+        const category = document.getElementById('recallCategory').value.trim();
+        if (!category) return { error: 'Please enter a category' };
+        if (from === null || to === null) return { error: 'Choose both ends of the time window' };
+        return { criteria: { scope, category, from, to } };
+    }
+
+    async findRecallProducts() {
+        const { criteria, error } = this.readRecallCriteria();
+        if (error) {
+            this.showStatus(error, 'error');
+            return;
+        }
+        await this.collectRecall(criteria);
+    }
+
+    async collectRecall(criteria) {
+        if (!this.indexer) {
+            this.showStatus('The event index is not available; check the RPC connection', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Collecting affected products from contract events...', 'info');
+            await this.indexer.sync();
+            await this.renderIndexStatus();
+            const products = await findRecallScope(this.indexer, this.reader.views, criteria);
+
+            this.recallManifest = buildRecallManifest(this.deployment, this.readChainId, criteria, products);
+            this.renderRecallResults();
+            this.showStatus(`${products.length} affected product(s) found`, products.length > 0 ? 'success' : 'info');
+        } catch (error) {
+            console.error('Find recall products failed:', error);
+            this.showStatus('Failed to collect affected products: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // The contract lets only the owner recall any product; a manufacturer recalls the ones it registered
+    splitRecallable(products) {
+        const outstanding = products.filter(product => !product.recalled);
+        if (this.roles.isOwner) return { recallable: outstanding, skipped: [] };
+
+        return {
+            recallable: outstanding.filter(product => this.isCurrentUser(product.manufacturer)),
+            skipped: outstanding.filter(product => !this.isCurrentUser(product.manufacturer))
+        };
+    }
+
+    renderRecallResults() {
+        const manifest = this.recallManifest;
+        const { recallable, skipped } = this.splitRecallable(manifest.products);
+        const recalledCount = manifest.products.filter(product => product.recalled).length;
+
+        const rows = manifest.products.map(product => html`
+            <tr>
+                <td>${product.productId}${product.recalled ? ' ⛔' : ''}</td>
+                <td>${product.batchId}</td>
+                <td>${product.category}</td>
+                <td>${product.lastEventType || 'Registered only'}</td>
+                <td>${product.lastRecorder || '—'}</td>
+            </tr>
+        `);
+
+        render(document.getElementById('recallResults'), html`
+            <p><strong>${manifest.productCount}</strong> affected product(s), ${recalledCount} already recalled ⛔</p>
+            ${skipped.length > 0 && html`
+                <p class="status info">
+                    ${skipped.length} product(s) registered by other manufacturers will be skipped:
+                    ${skipped.map(product => product.productId).join(', ')}
+                </p>
+            `}
+            <table class="manifest-table">
+                <tr><th>Product</th><th>Batch</th><th>Category</th><th>Last Event</th><th>Last Recorder</th></tr>
+                ${rows.length > 0 ? rows : html`<tr><td colspan="5">No products match</td></tr>`}
+            </table>
+        `);
+
+        ['exportRecallJson', 'exportRecallCsv'].forEach(id => {
+            document.getElementById(id).classList.toggle('hidden', manifest.productCount === 0);
+        });
+        document.getElementById('recallMarkStep').classList.toggle('hidden', recallable.length === 0);
+        document.getElementById('recallConfirmLabel').textContent = `Type ${recallable.length} (the number of products to recall) to confirm:`;
+        document.getElementById('recallConfirmCount').value = '';
+    }
+
+    exportRecallManifest(format) {
+        if (!this.recallManifest) return;
+        downloadRecallManifest(this.recallManifest, format);
+    }
+
+    // A recall is public and permanent; products not yet recalled go out RECALL_CHUNK_SIZE per transaction
+    async markRecalled() {
+        if (!await this.ensureSigner() || !this.recallManifest || !this.client) return;
+
+        const { recallable, skipped } = this.splitRecallable(this.recallManifest.products);
+        const productIds = recallable.map(product => Number(product.productId));
+        if (parseInt(document.getElementById('recallConfirmCount').value) !== productIds.length) {
+            this.showStatus(`Type ${productIds.length} to confirm the recall`, 'error');
+            return;
+        }
+
+        const reason = document.getElementById('recallReason').value;
+        try {
+            for (let i = 0; i < productIds.length; i += RECALL_CHUNK_SIZE) {
+                const chunk = productIds.slice(i, i + RECALL_CHUNK_SIZE);
+                const prepared = await this.client.prepareRecallProducts({ productIds: chunk, reason });
+                if (!prepared.ok) {
+                    this.showClientError(prepared.error);
+                    return;
+                }
+
+                this.showStatus(`Recalling products ${i + 1}-${i + chunk.length} of ${productIds.length}...`, 'info');
+                await this.transactions.send({ action: 'Recall products', ...prepared.value });
+            }
+
+            const skippedNote = skipped.length > 0
+                ? `; skipped ${skipped.length} registered by other manufacturers: ${skipped.map(product => product.productId).join(', ')}`
+                : '';
+            this.showStatus(`${productIds.length} product(s) marked as recalled${skippedNote}`, 'success');
+            document.getElementById('recallReason').value = '';
+            await this.collectRecall(this.recallManifest.criteria);
+        } catch (error) {
+            console.error('Recall failed:', error);
+            this.showStatus('Failed to recall products: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // The recall record, or null when the product is not recalled or the deployment predates recalls
+    async getRecall(productId) {
+        if (!this.adapter.supports('recalls')) return null;
+
+        const recall = await this.reader.views.productRecalls(productId);
+        return recall.recalled ? recall : null;
+    }
+
+    renderRecallNotice(recall) {
+        return html`
+            <p class="status error">
+                <strong>⛔ RECALLED</strong> on ${this.formatTimestamp(recall.recalledAt.toNumber())} by ${recall.recalledBy}<br>
+                ${recall.reason}
+            </p>
+        `;
+    }
+
+    async unlockDirectory() {
+        const input = document.getElementById('directoryPassphrase');
+        const creating = !EncryptedDirectory.exists();
+
+        try {
+            this.showStatus(creating ? 'Creating the directory...' : 'Unlocking the directory...', 'info');
+            if (creating) {
+                await this.directory.create(input.value);
+            } else {
+                await this.directory.unlock(input.value);
+            }
+            input.value = '';
+            this.renderDirectory();
+            await this.loadOutbox();
+            this.showStatus(creating ? 'Directory created; remember the passphrase, it cannot be recovered' : 'Directory unlocked', 'success');
+        } catch (error) {
+            console.error('Unlock directory failed:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    // Revealed fields may show directory names, so they are hidden along with the entries
+    lockDirectory() {
+        this.directory.lock();
+        this.clearRevealedFields();
+        this.renderDirectory();
+        this.loadOutbox();
+        this.showStatus('Directory locked', 'info');
+    }
 
-        const productId = parseInt(document.getElementById('verifyProductId').value);
+    async saveDirectoryEntry() {
+        const kind = document.getElementById('directoryKind').value;
+        const id = parseInt(document.getElementById('directoryId').value);
+        const name = document.getElementById('directoryName').value;
+
+        try {
+            const errors = await this.directory.set(kind, id, name);
+            if (errors.length > 0) {
+                this.showStatus(errors.join('; '), 'error');
+                return;
+            }
+
+            document.getElementById('directoryId').value = '';
+            document.getElementById('directoryName').value = '';
+            this.renderDirectory();
+            this.showStatus(`Saved ${DIRECTORY_KINDS[kind]} #${id}`, 'success');
+        } catch (error) {
+            console.error('Save directory entry failed:', error);
+            this.showStatus('Failed to save the directory: ' + error.message, 'error');
+        }
+    }
+
+    async removeDirectoryEntry(kind, id) {
+        try {
+            await this.directory.remove(kind, Number(id));
+            this.renderDirectory();
+        } catch (error) {
+            console.error('Remove directory entry failed:', error);
+            this.showStatus('Failed to save the directory: ' + error.message, 'error');
+        }
+    }
+
+    async importDirectory() {
+        const file = document.getElementById('directoryImportFile').files[0];
+
+        if (!file) {
+            this.showStatus('Please choose a CSV or JSON file', 'error');
+            return;
+        }
+
+        try {
+            const { saved, invalid } = await this.directory.importEntries(await file.text(), file.name);
+            this.renderDirectory();
+
+            const skipped = invalid.map(({ row, errors }) => `row ${row}: ${errors.join(', ')}`).join('; ');
+            this.showStatus(`Imported ${saved} entries` + (invalid.length > 0 ? `, skipped ${invalid.length} (${skipped})` : ''), invalid.length > 0 ? 'error' : 'success');
+        } catch (error) {
+            console.error('Import directory failed:', error);
+            this.showStatus('Failed to import directory: ' + error.message, 'error');
+        }
+    }
+
+    exportDirectory(format) {
+        if (format === 'csv') {
+            downloadFile('directory.csv', this.directory.exportCsv(), 'text/csv');
+        } else {
+            downloadFile('directory.json', this.directory.exportJson(), 'application/json');
+        }
+        this.showStatus('The exported file is not encrypted; keep it somewhere safe', 'info');
+    }
+
+    // Names are user input, so the list and datalists are built as DOM nodes rather than HTML
+    renderDirectory() {
+        const unlocked = this.directory.isUnlocked();
+        const exists = EncryptedDirectory.exists();
+
+        document.getElementById('directoryStatus').textContent = unlocked
+            ? `🔓 Unlocked · ${this.directory.entries.length} entries`
+            : (exists ? '🔒 Locked: enter the passphrase to look up names' : 'No directory on this device yet: choose a passphrase to create one');
+        document.getElementById('unlockDirectory').textContent = exists ? 'Unlock' : 'Create Directory';
+        document.getElementById('directoryLocked').classList.toggle('hidden', unlocked);
+        document.getElementById('directoryUnlocked').classList.toggle('hidden', !unlocked);
+
+        const list = document.getElementById('directoryEntries');
+        list.replaceChildren(...this.directory.search(null, document.getElementById('directorySearch').value).map(entry => {
+            const row = document.createElement('p');
+            const button = document.createElement('button');
+            button.className = 'btn';
+            button.textContent = 'Remove';
+            button.dataset.directoryKind = entry.kind;
+            button.dataset.directoryId = entry.id;
+            row.append(`${DIRECTORY_KINDS[entry.kind]} #${entry.id}: ${entry.name} `, button);
+            return row;
+        }));
+
+        Object.keys(DIRECTORY_KINDS).forEach(kind => {
+            const datalist = document.getElementById(`directory${DIRECTORY_KINDS[kind]}Options`);
+            datalist.replaceChildren(...this.directory.search(kind, '').map(entry => {
+                const option = document.createElement('option');
+                option.value = `${entry.name} (#${entry.id})`;
+                return option;
+            }));
+        });
+
+        document.querySelectorAll('.directory-search').forEach(input => input.classList.toggle('hidden', !unlocked));
+        this.renderDirectoryHints();
+    }
+
+    // Fills the numeric field from a "Name (#id)" suggestion picked in its search box
+    pickDirectoryEntry(input) {
+        const match = input.value.match(/\(#(\d+)\)$/);
+        if (!match) return;
+
+        document.getElementById(input.dataset.directoryTarget).value = match[1];
+        input.value = '';
+        this.renderDirectoryHints();
+    }
+
+    renderDirectoryHints() {
+        document.querySelectorAll('.directory-search').forEach(input => {
+            const target = input.dataset.directoryTarget;
+            const value = document.getElementById(target).value;
+            const name = this.directory.isUnlocked() && value ? this.directory.nameFor(input.dataset.directoryKind, value) : null;
+
+            document.getElementById(`${target}Name`).textContent = !this.directory.isUnlocked() || !value
+                ? ''
+                : (name ? `📇 ${name}` : '⚠️ Not in the directory; double-check this ID before it is encrypted');
+        });
+    }
+
+    // Formats a decrypted ID for HTML views, with its directory name when the directory is unlocked
+    describeDirectoryId(kind, value) {
+        if (value === null || value === undefined) return this.formatPrivateValue(value);
+
+        const name = this.directory.isUnlocked() ? this.directory.nameFor(kind, value) : null;
+        return name ? html`${value} · ${name}` : value;
+    }
+
+    async printProductLabel() {
+        const productId = parseInt(document.getElementById('labelProductId').value);
 
         if (!productId) {
             this.showStatus('Please enter a valid product ID', 'error');
@@ -436,50 +2465,241 @@ class PrivacyTraceabilityApp {
         }
 
         try {
-            this.showStatus('Verifying product authenticity...', 'info');
-            const isAuthentic = await this.contract.verifyProductAuthenticity(productId);
+            const product = await this.readContract.getProductInfo(productId);
+            printLabelSheet(`Label - Product ${productId}`, [{ productId, caption: product.category }], this.getLabelTarget());
+            this.showStatus('Label sheet opened in a new window', 'success');
+        } catch (error) {
+            console.error('Print product label failed:', error);
+            this.showStatus('Failed to create label: ' + this.getErrorMessage(error), 'error');
+        }
+    }
 
-            const verifyResult = document.getElementById('verifyResult');
-            verifyResult.innerHTML = `
-                <h4>Verification Result for Product ID: ${productId}</h4>
-                <p class="status ${isAuthentic ? 'success' : 'error'}">
-                    <strong>${isAuthentic ? '✅ AUTHENTIC' : '❌ NOT AUTHENTIC'}</strong>
-                </p>
-                <p>${isAuthentic ? 'This product is verified as authentic.' : 'This product could not be verified as authentic.'}</p>
-            `;
-            verifyResult.classList.remove('hidden');
+    async printBatchLabels() {
+        const batchId = parseInt(document.getElementById('labelBatchId').value);
+
+        if (!batchId) {
+            this.showStatus('Please enter a valid batch ID', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Collecting batch products...', 'info');
+            const batch = await this.readContract.getBatchInfo(batchId);
+            const productIds = await this.getBatchProductIds(batchId);
 
-            this.showStatus(`Product verification completed: ${isAuthentic ? 'Authentic' : 'Not Authentic'}`,
-                isAuthentic ? 'success' : 'error');
+            if (productIds.length === 0) {
+                this.showStatus(`Batch ${batchId} has no products yet`, 'info');
+                return;
+            }
+            if (productIds.length < batch.productCount.toNumber()) {
+                this.showStatus(`Only ${productIds.length} of ${batch.productCount.toString()} products could be found; sync the event index and try again`, 'error');
+                return;
+            }
+
+            const labels = [];
+            for (const productId of productIds) {
+                const product = await this.readContract.getProductInfo(productId);
+                labels.push({ productId, caption: product.category });
+            }
+
+            printLabelSheet(`Labels - Batch ${batchId}`, labels, this.getLabelTarget());
+            this.showStatus(`Label sheet for ${labels.length} products opened in a new window`, 'success');
         } catch (error) {
-            console.error('Verify product failed:', error);
-            this.showStatus('Failed to verify product: ' + this.getErrorMessage(error), 'error');
+            console.error('Print batch labels failed:', error);
+            this.showStatus('Failed to create labels: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    // Product IDs of a batch from ProductRegistered logs, or by scanning products when the index is unavailable
+    async getBatchProductIds(batchId) {
+        const indexed = await this.getIndexedEvents(() => this.indexer.getBatchEvents(batchId));
+        if (indexed) {
+            return indexed.filter(e => e.event === 'ProductRegistered').map(e => parseInt(e.productId));
+        }
+
+        const total = (await this.reader.views.getTotalProducts()).toNumber();
+        const productIds = Array.from({ length: total }, (_, index) => index + 1);
+        const products = await Promise.all(productIds.map(productId => this.reader.views.getProductInfo(productId)));
+        return productIds.filter((productId, index) => products[index].batchId.eq(batchId));
+    }
+
+    getLabelTarget() {
+        return { chainId: this.deployment.chainId, contractAddress: this.deployment.address };
+    }
+
+    async startScan() {
+        const video = document.getElementById('scanVideo');
+
+        try {
+            this.stopScan();
+            this.qrScanner = new QrCameraScanner(video, (text) => {
+                video.classList.add('hidden');
+                this.openVerification(text);
+            });
+            video.classList.remove('hidden');
+            await this.qrScanner.start();
+            this.showStatus('Point the camera at a product label', 'info');
+        } catch (error) {
+            console.error('Camera scan failed:', error);
+            video.classList.add('hidden');
+            this.showStatus('Could not start the camera: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    stopScan() {
+        if (this.qrScanner) {
+            this.qrScanner.stop();
+            this.qrScanner = null;
+        }
+        document.getElementById('scanVideo').classList.add('hidden');
+    }
+
+    async scanImage(file) {
+        if (!file) return;
+
+        try {
+            const text = await decodeQrFromFile(file);
+            if (!text) {
+                this.showStatus('No QR code found in that image', 'error');
+                return;
+            }
+            await this.openVerification(text);
+        } catch (error) {
+            console.error('Image scan failed:', error);
+            this.showStatus('Failed to read the image: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            document.getElementById('scanImage').value = '';
+        }
+    }
+
+    // Moves a scanned label onto the ?verify= route without reloading the page
+    async openVerification(text) {
+        const payload = parseVerificationPayload(text);
+        if (!payload) {
+            this.showStatus('This QR code is not a product label from this system', 'error');
+            return;
+        }
+
+        window.history.pushState({}, '', buildVerificationUrl({
+            productId: payload.productId,
+            chainId: payload.chainId || this.readChainId || '',
+            contractAddress: payload.contractAddress || this.deployment.address
+        }));
+        await this.showConsumerVerification(payload);
+    }
+
+    async handleVerifyRoute() {
+        const payload = parseVerificationPayload(window.location.href);
+        if (payload && this.adapter.supports('labels')) {
+            await this.showConsumerVerification(payload);
+        }
+    }
+
+    async showConsumerVerification(payload) {
+        const section = document.getElementById('consumerVerify');
+        const result = document.getElementById('consumerVerifyResult');
+        section.classList.remove('hidden');
+        section.scrollIntoView({ behavior: 'smooth' });
+
+        const contract = this.readContract;
+        render(result, html`<p>Verifying Product ID ${payload.productId}...</p>`);
+
+        const warnings = [];
+        if (payload.contractAddress && payload.contractAddress.toLowerCase() !== this.deployment.address.toLowerCase()) {
+            warnings.push(`This label was issued by a different contract (${payload.contractAddress}).`);
+        }
+
+        let isAuthentic = false;
+        let recall = null;
+        try {
+            const network = await contract.provider.getNetwork();
+            if (payload.chainId && payload.chainId !== network.chainId) {
+                warnings.push(`This label belongs to chain ${payload.chainId}, but you are connected to chain ${network.chainId}.`);
+            }
+            isAuthentic = await contract.verifyProductAuthenticity(payload.productId);
+            recall = isAuthentic ? await this.getRecall(payload.productId) : null;
+        } catch (error) {
+            console.error('Consumer verification failed:', error);
+        }
+
+        const sections = [html`
+            <h4>Product ID: ${payload.productId}</h4>
+            ${warnings.map(warning => html`<p class="status error">${warning}</p>`)}
+            <p class="status ${isAuthentic ? 'success' : 'error'}">
+                <strong>${isAuthentic ? '✅ AUTHENTIC' : '❌ NOT AUTHENTIC'}</strong>
+            </p>
+            ${recall && this.renderRecallNotice(recall)}
+        `];
+
+        if (isAuthentic) {
+            try {
+                const product = await contract.getProductInfo(payload.productId);
+                const batch = await contract.getBatchInfo(product.batchId);
+                sections.push(html`
+                    <p><strong>Category:</strong> ${product.category}</p>
+                    <p><strong>Batch:</strong> ${product.batchId.toString()} (${batch.isSealed ? 'Sealed 🔒' : 'Open'})</p>
+                    <h4>Journey</h4>
+                `);
+
+                const indexed = await this.getIndexedEvents(() => this.indexer.getTraceHistory(payload.productId));
+                if (indexed && indexed.length === product.traceRecordCount.toNumber()) {
+                    indexed.forEach((record, i) => {
+                        sections.push(html`<p>${i + 1}. <strong>${record.eventType}</strong> — ${this.formatTimestamp(record.timestamp)}</p>`);
+                    });
+                } else {
+                    for (let i = 0; i < product.traceRecordCount.toNumber(); i++) {
+                        const record = await contract.getPublicTraceInfo(payload.productId, i);
+                        sections.push(html`<p>${i + 1}. <strong>${record.eventType}</strong></p>`);
+                    }
+                }
+                if (product.traceRecordCount.eq(0)) {
+                    sections.push(html`<p>No trace records yet.</p>`);
+                }
+            } catch (error) {
+                console.error('Failed to load product details:', error);
+                sections.push(html`<p>Product details could not be loaded.</p>`);
+            }
         }
+
+        render(result, sections);
     }
 
+    // Started together so their first reads go out in a single multicall
     async loadStatistics() {
-        await this.refreshProducts();
-        await this.refreshBatches();
-        await this.checkAuthorizations();
+        await Promise.all([this.refreshProducts(), this.refreshBatches(), this.checkAuthorizations()]);
     }
 
     async checkAuthorizations() {
         if (!this.isConnected) return;
 
         try {
-            const owner = await this.contract.owner();
-            const isAuthorizedManufacturer = await this.contract.authorizedManufacturers(this.userAddress);
-            const isAuthorizedTracker = await this.contract.authorizedTrackers(this.userAddress);
+            const [owner, isAuthorizedManufacturer, isAuthorizedTracker] = await Promise.all([
+                this.adapter.owner(),
+                this.adapter.hasRole('manufacturer', this.userAddress),
+                this.adapter.hasRole('tracker', this.userAddress)
+            ]);
+
+            this.roles = {
+                owner,
+                isOwner: this.isCurrentUser(owner),
+                isManufacturer: isAuthorizedManufacturer,
+                isTracker: isAuthorizedTracker
+            };
+            this.applyRoleGating();
+            if (this.recallManifest) this.renderRecallResults();
+            await this.refreshOwnedBatches();
+            this.restoreImportJob();
+            await this.refreshContractControl();
 
             // Display contract owner info
-            let ownerInfoHtml = `
+            const ownerInfo = html`
                 <div class="product-info">
                     <h4>📋 Contract Information</h4>
                     <p><strong>Contract Owner:</strong> ${owner}</p>
                     <p><strong>Your Address:</strong> ${this.userAddress}</p>
                     <p><strong>Are you the owner?</strong> ${this.userAddress.toLowerCase() === owner.toLowerCase() ? 'Yes ✅' : 'No ❌'}</p>
                     <p><strong>Manufacturer Status:</strong> ${isAuthorizedManufacturer ? 'Authorized ✅' : 'Not Authorized ❌'}</p>
-                    <p><strong>Tracker Status:</strong> ${isAuthorizedTracker ? 'Authorized ✅' : 'Not Authorized ❌'}</p>
+                    ${this.adapter.supports('trackerRole') && html`<p><strong>Tracker Status:</strong> ${isAuthorizedTracker ? 'Authorized ✅' : 'Not Authorized ❌'}</p>`}
                 </div>
             `;
 
@@ -491,7 +2711,7 @@ class PrivacyTraceabilityApp {
                 existingAuthInfo.className = 'auth-info';
                 walletInfo.appendChild(existingAuthInfo);
             }
-            existingAuthInfo.innerHTML = ownerInfoHtml;
+            render(existingAuthInfo, ownerInfo);
 
             let statusMsg = `Contract Owner: ${owner.slice(0, 6)}...${owner.slice(-4)}`;
             if (this.userAddress.toLowerCase() === owner.toLowerCase()) {
@@ -500,22 +2720,104 @@ class PrivacyTraceabilityApp {
             } else {
                 this.showStatus('ℹ️ You are not the contract owner. Only the owner can authorize users.', 'info');
             }
-
-            console.log(`Full contract owner address: ${owner}`);
-            console.log(`Your address: ${this.userAddress}`);
         } catch (error) {
             console.error('Failed to check authorizations:', error);
         }
     }
 
-    async refreshProducts() {
+    resetRoles() {
+        this.roles = { owner: null, isOwner: false, isManufacturer: false, isTracker: false };
+        this.applyRoleGating();
+        this.populateBatchSelectors([]);
+    }
+
+    // Enables each panel only for wallets the contract would accept; the owner passes every role check
+    applyRoleGating() {
+        const { owner, isOwner, isManufacturer, isTracker } = this.roles;
+        const ownerLabel = owner ? `the contract owner (${owner.slice(0, 6)}...${owner.slice(-4)})` : 'the contract owner';
+
         if (!this.isConnected) {
-            document.getElementById('totalProducts').textContent = 'Connect wallet to view';
+            const notice = 'Connect your wallet to use this panel.';
+            this.setPanelAccess('manufacturerPanel', false, notice);
+            this.setPanelAccess('trackerPanel', false, notice);
+            this.setPanelAccess('adminPanel', false, notice);
+            return;
+        }
+
+        this.setPanelAccess('manufacturerPanel', isOwner || isManufacturer,
+            `Your wallet does not have the manufacturer role. Access is granted by ${ownerLabel}.`);
+        this.setPanelAccess('trackerPanel', isOwner || isTracker,
+            `Your wallet does not have the tracker role. Access is granted by ${ownerLabel}.`);
+        this.setPanelAccess('adminPanel', isOwner,
+            `Only ${ownerLabel} can manage roles.`);
+
+        // Self-authorization goes through the owner-only role setters
+        document.getElementById('addManufacturer').disabled = !isOwner;
+        document.getElementById('addTracker').disabled = !isOwner;
+    }
+
+    setPanelAccess(panelId, allowed, notice) {
+        const panel = document.getElementById(panelId);
+        panel.querySelectorAll('.section-content input, .section-content select, .section-content textarea, .section-content button')
+            .forEach(control => {
+                control.disabled = !allowed;
+            });
+
+        const roleNotice = panel.querySelector('.role-notice');
+        roleNotice.textContent = allowed ? '' : notice;
+        roleNotice.classList.toggle('hidden', allowed);
+    }
+
+    // Fills the batch selectors with the open batches the connected wallet owns
+    async refreshOwnedBatches() {
+        if (!this.isConnected || !this.adapter.supports('batches') || !(this.roles.isOwner || this.roles.isManufacturer)) {
+            this.populateBatchSelectors([]);
             return;
         }
 
         try {
-            const total = await this.contract.getTotalProducts();
+            let openBatchIds = await this.getIndexedEvents(async () => {
+                const created = await this.indexer.getEventsByName('BatchCreated');
+                const sealed = new Set((await this.indexer.getEventsByName('BatchSealed')).map(e => e.batchId));
+                return created
+                    .filter(e => this.isCurrentUser(e.owner) && !sealed.has(e.batchId))
+                    .map(e => e.batchId);
+            });
+
+            if (openBatchIds === null) {
+                const total = (await this.reader.views.getTotalBatches()).toNumber();
+                const batchIds = Array.from({ length: total }, (_, index) => index + 1);
+                const batches = await Promise.all(batchIds.map(batchId => this.reader.views.getBatchInfo(batchId)));
+                openBatchIds = batchIds
+                    .filter((batchId, index) => !batches[index].isSealed && this.isCurrentUser(batches[index].batchOwner))
+                    .map(batchId => batchId.toString());
+            }
+
+            this.populateBatchSelectors(openBatchIds);
+        } catch (error) {
+            console.error('Failed to load owned batches:', error);
+        }
+    }
+
+    populateBatchSelectors(batchIds) {
+        ['productBatchId', 'sealBatchId', 'importBatchId'].forEach(id => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            const placeholder = batchIds.length > 0 ? 'Select one of your open batches' : 'No open batches owned by you';
+
+            render(select, html`
+                <option value="">${placeholder}</option>
+                ${batchIds.map(batchId => html`<option value="${batchId}">Batch ${batchId}</option>`)}
+            `);
+            if (batchIds.includes(previous)) {
+                select.value = previous;
+            }
+        });
+    }
+
+    async refreshProducts() {
+        try {
+            const total = await this.adapter.getTotalProducts();
             document.getElementById('totalProducts').textContent = total.toString();
         } catch (error) {
             document.getElementById('totalProducts').textContent = 'Error loading';
@@ -524,13 +2826,10 @@ class PrivacyTraceabilityApp {
     }
 
     async refreshBatches() {
-        if (!this.isConnected) {
-            document.getElementById('totalBatches').textContent = 'Connect wallet to view';
-            return;
-        }
+        if (!this.adapter.supports('batches')) return;
 
         try {
-            const total = await this.contract.getTotalBatches();
+            const total = await this.reader.views.getTotalBatches();
             document.getElementById('totalBatches').textContent = total.toString();
         } catch (error) {
             document.getElementById('totalBatches').textContent = 'Error loading';
@@ -538,12 +2837,299 @@ class PrivacyTraceabilityApp {
         }
     }
 
-    ensureConnected() {
+    // Input problems are listed one by one; anything else shows the catalog message and guidance
+    showClientError(error) {
+        if (error.problems.length > 0) {
+            this.showStatus(error.problems.join('. '), 'error');
+        } else {
+            this.showStatus(error.guidance ? `${error.message}. ${error.guidance}` : error.message, 'error');
+        }
+    }
+
+    // Encrypts confidential fields for the connected wallet so they never travel as plain calldata
+    async encryptInputs(fields) {
+        return this.encryptor.encrypt(this.deployment.address, ethers.utils.getAddress(this.userAddress), fields);
+    }
+
+    // Rejects calls the contract would revert before any wallet prompt (see preflight.js)
+    preflight(call) {
+        return preflightTransaction(this.contract, this.readContract, call, this.userAddress);
+    }
+
+    // Shows the fee preview and resolves once the user confirms or rejects it
+    confirmTransaction({ action, args, gasEstimate, gasLimit, feePerGas, maxCost }) {
+        this.answerTransactionPreview(false);
+
+        const symbol = this.deployment.nativeCurrency.symbol;
+        render(document.getElementById('txPreviewBody'), html`
+            <h4>${action}</h4>
+            ${Object.keys(args).length > 0 && html`<p>${this.formatTransactionArgs(args)}</p>`}
+            <p><strong>Estimated gas:</strong> ${gasEstimate.toString()} (limit ${gasLimit.toString()})</p>
+            <p><strong>Max fee per gas:</strong> ${ethers.utils.formatUnits(feePerGas, 'gwei')} gwei</p>
+            <p><strong>Max cost:</strong> ${ethers.utils.formatEther(maxCost)} ${symbol}</p>
+        `);
+        document.getElementById('txPreview').classList.remove('hidden');
+
+        return new Promise(resolve => {
+            this.resolveTxPreview = resolve;
+        });
+    }
+
+    answerTransactionPreview(accepted) {
+        document.getElementById('txPreview').classList.add('hidden');
+        if (this.resolveTxPreview) {
+            const resolve = this.resolveTxPreview;
+            this.resolveTxPreview = null;
+            resolve(accepted);
+        }
+    }
+
+    handleTransactionUpdate(entry, resumed) {
+        this.renderTransactions();
+        if (entry.status === 'confirmed') {
+            this.reader.observeBlock(entry.blockNumber);
+        }
+
+        // Callers awaiting their own transaction report the outcome themselves
+        if (!resumed || entry.status === 'pending') return;
+        if (entry.status === 'confirmed') {
+            this.showStatus(`${entry.action} confirmed in block ${entry.blockNumber}`, 'success');
+        } else {
+            this.showStatus(`${entry.action} ${entry.status}: ${entry.error}`, 'error');
+        }
+    }
+
+    async replaceTransaction(id, kind) {
+        try {
+            this.showStatus(kind === 'cancel' ? 'Sending cancellation...' : 'Sending speed-up...', 'info');
+            if (kind === 'cancel') {
+                await this.transactions.cancel(id);
+            } else {
+                await this.transactions.speedUp(id);
+            }
+            this.showStatus(kind === 'cancel' ? 'Cancellation sent' : 'Speed-up sent', 'success');
+        } catch (error) {
+            console.error('Transaction replacement failed:', error);
+            this.showStatus('Failed to replace transaction: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    clearTransactionHistory() {
+        if (!this.transactions) return;
+
+        this.transactions.clearHistory();
+        this.renderTransactions();
+    }
+
+    renderTransactions() {
+        const queue = document.getElementById('txQueue');
+        const history = document.getElementById('txHistory');
+
+        if (!this.transactions) {
+            render(queue, html`<p>Connect a wallet on the deployment's network to send transactions.</p>`);
+            clearElement(history);
+            return;
+        }
+
+        const pending = this.transactions.pending();
+        render(queue, pending.length === 0 ? html`<p>No pending transactions.</p>` : pending.map(entry => {
+            const latest = entry.hashes[entry.hashes.length - 1];
+            return html`
+                <div class="trace-record">
+                    <p><strong>${entry.action}</strong>${Object.keys(entry.args).length > 0 && ` · ${this.formatTransactionArgs(entry.args)}`}</p>
+                    <p><strong>Nonce:</strong> ${entry.nonce}</p>
+                    <p><strong>Tx:</strong> ${latest.hash}${latest.kind === 'cancel' ? ' (cancellation)' : latest.kind === 'speedup' ? ' (sped up)' : ''}</p>
+                    <button class="btn" data-tx-action="speedUp" data-tx-id="${entry.id}">Speed Up</button>
+                    <button class="btn" data-tx-action="cancel" data-tx-id="${entry.id}">Cancel</button>
+                </div>
+            `;
+        }));
+
+        const icons = { confirmed: '✅', failed: '❌', cancelled: '🚫' };
+        const settled = this.transactions.history();
+        render(history, settled.length === 0 ? html`<p>No transactions yet.</p>` : settled.map(entry => html`
+            <div class="trace-record">
+                <p>${icons[entry.status]} <strong>${entry.action}</strong> — ${entry.status}${entry.error && entry.status !== 'cancelled' && ` (${entry.error})`}</p>
+                ${Object.keys(entry.args).length > 0 && html`<p>${this.formatTransactionArgs(entry.args)}</p>`}
+                ${entry.resultIds.map(result => html`<p><strong>${result.event}:</strong> ${result.name} ${result.value}</p>`)}
+                <p><strong>Tx:</strong> ${entry.hash}</p>
+                ${entry.blockNumber && html`<p><strong>Block:</strong> ${entry.blockNumber}</p>`}
+            </div>
+        `));
+    }
+
+    formatTransactionArgs(args) {
+        return Object.entries(args).map(([name, value]) => `${name}: ${value}`).join(', ');
+    }
+
+    // Read-only visitors are only asked to connect once they start something that needs a signature
+    async ensureSigner() {
         if (!this.isConnected) {
-            this.showStatus('Please connect your wallet first', 'error');
+            await this.connectWallet();
+        }
+        if (this.isConnected && !this.contract) {
+            this.showStatus(`Switch your wallet to ${this.deployment.chainName} to send transactions`, 'error');
             return false;
         }
-        return true;
+        return this.isConnected;
+    }
+
+    // Hides every control marked data-feature="..." when the deployed contract has none of the listed features
+    applyContractFeatures() {
+        document.querySelectorAll('[data-feature]').forEach(element => {
+            const supported = element.dataset.feature.split(' ').some(feature => this.adapter.supports(feature));
+            element.classList.toggle('hidden', !supported);
+        });
+
+        const roles = this.adapter.roles();
+        Array.from(document.getElementById('adminRole').options).forEach(option => {
+            option.hidden = !roles.includes(option.value);
+            option.disabled = option.hidden;
+        });
+        if (!roles.includes(document.getElementById('adminRole').value)) {
+            document.getElementById('adminRole').value = roles[0];
+        }
+    }
+
+    async exportReport(format) {
+        const type = document.getElementById('reportSubject').value;
+        const id = parseInt(document.getElementById('reportSubjectId').value);
+
+        if (!id) {
+            this.showStatus(`Please enter a valid ${type} ID`, 'error');
+            return;
+        }
+        if (!this.indexer) {
+            this.showStatus('Reports need the event index, which is unavailable on this connection', 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('Collecting provenance data...', 'info');
+            await this.indexer.sync();
+            await this.renderIndexStatus();
+            const report = await buildProvenanceReport(this.readContract, this.indexer, this.deployment.chainId, { type, id });
+
+            if (format === 'json') {
+                downloadProvenanceReport(report);
+                this.showStatus(`Report for ${type} ${id} downloaded`, 'success');
+            } else {
+                printProvenanceReport(report, this.deployment.explorerUrl);
+                this.showStatus('Printable report opened in a new window', 'success');
+            }
+        } catch (error) {
+            console.error('Export report failed:', error);
+            this.showStatus('Failed to export report: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    async verifyReport() {
+        const file = document.getElementById('verifyReportFile').files[0];
+        const rpcUrl = document.getElementById('verifyReportRpc').value.trim();
+        const result = document.getElementById('verifyReportResult');
+
+        if (!file) {
+            this.showStatus('Please choose a report file', 'error');
+            return;
+        }
+
+        try {
+            const report = parseProvenanceReport(await file.text());
+            // Without an explicit node, use the registry's RPC for the report's chain
+            const network = listDeployments().find(deployment => deployment.chainId === report.chainId);
+            const url = rpcUrl || (network && network.rpcUrl);
+            if (!url) {
+                this.showStatus(`Enter an RPC node for chain ${report.chainId}`, 'error');
+                return;
+            }
+
+            const provider = new ethers.providers.StaticJsonRpcProvider(url);
+            const { checked, problems } = await verifyProvenanceReport(report, provider, ({ product, total }) => {
+                this.showStatus(`Verifying product ${product} of ${total}...`, 'info');
+            });
+
+            render(result, html`
+                <h4>${report.subject.type === 'batch' ? 'Batch' : 'Product'} #${report.subject.id} · chain ${report.chainId}</h4>
+                <p class="status ${problems.length === 0 ? 'success' : 'error'}">
+                    <strong>${problems.length === 0 ? `✅ All ${checked} entries match` : `❌ ${problems.length} of ${checked} entries do not match`}</strong>
+                </p>
+                ${problems.map(problem => html`
+                    <p><strong>${problem.path}</strong> ${problem.kind === 'missing' ? 'no longer exists' : `expected ${problem.expected}, found ${problem.actual}`}</p>
+                `)}
+            `);
+            result.classList.remove('hidden');
+            this.showStatus(`Checked ${checked} entries against ${url}`, problems.length === 0 ? 'success' : 'error');
+        } catch (error) {
+            console.error('Verify report failed:', error);
+            this.showStatus('Failed to verify report: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    renderDeploymentSelector() {
+        const select = document.getElementById('deploymentSelect');
+        clearElement(select);
+        listDeployments().forEach(deployment => {
+            const option = document.createElement('option');
+            option.value = deployment.id;
+            option.textContent = `${deployment.label} · ${deployment.address.slice(0, 6)}...${deployment.address.slice(-4)}`;
+            select.appendChild(option);
+        });
+        select.value = this.deployment.id;
+
+        if (this.deployment.requested) {
+            this.showStatus(`Unknown deployment "${this.deployment.requested}"; showing ${this.deployment.label} instead`, 'error');
+        } else if (this.deployment.ignoredOverrides) {
+            const names = this.deployment.ignoredOverrides.map(name => `?${name}=`).join(' and ');
+            this.showStatus(`Ignored ${names}: ${this.deployment.label} is only read through its registered RPC`, 'error');
+        }
+    }
+
+    // Every reader, cache and index is tied to the deployment, so switching reloads the page
+    selectDeployment(id) {
+        if (id === this.deployment.id) return;
+
+        const url = new URL(window.location.pathname, window.location.origin);
+        url.searchParams.set('deployment', id);
+        window.location.assign(url.toString());
+    }
+
+    renderNetworkMismatch() {
+        const banner = document.getElementById('networkMismatch');
+        const mismatched = this.isConnected && this.chainId !== this.deployment.chainId;
+        banner.classList.toggle('hidden', !mismatched);
+        if (!mismatched) return;
+
+        const alternatives = findDeploymentsForChain(this.chainId);
+        let text = `Your wallet is on chain ${this.chainId}, but ${this.deployment.label} runs on ${this.deployment.chainName} (chain ${this.deployment.chainId}). Switch networks to send transactions.`;
+        if (alternatives.length > 0) {
+            text += ` Or pick the ${alternatives.map(entry => entry.label).join(' / ')} deployment above.`;
+        }
+        document.getElementById('networkMismatchText').textContent = text;
+        document.getElementById('switchNetwork').textContent = `Switch to ${this.deployment.chainName}`;
+    }
+
+    // chainChanged re-initializes the wallet once the switch lands
+    async switchNetwork() {
+        try {
+            this.showStatus(`Switching wallet to ${this.deployment.chainName}...`, 'info');
+            await switchWalletChain(window.ethereum, this.deployment);
+        } catch (error) {
+            console.error('Network switch failed:', error);
+            this.showStatus('Failed to switch network: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+
+    updateModeIndicator() {
+        const indicator = document.getElementById('walletStatus');
+        if (this.isConnected) {
+            indicator.textContent = this.contract
+                ? `✍️ Wallet mode: reads use ${new URL(this.deployment.rpcUrl).host}, transactions are signed by ${this.userAddress.slice(0, 6)}...${this.userAddress.slice(-4)}`
+                : `⚠️ Wrong network: reads still use ${new URL(this.deployment.rpcUrl).host}, transactions are disabled until the wallet is on ${this.deployment.chainName}`;
+            indicator.className = this.contract ? 'status success' : 'status error';
+        } else {
+            indicator.textContent = `👁️ Read-only mode: browsing ${this.deployment.label} through ${new URL(this.deployment.rpcUrl).host}. A wallet is only needed to make changes.`;
+            indicator.className = 'status info';
+        }
     }
 
     showStatus(message, type) {
@@ -560,14 +3146,10 @@ class PrivacyTraceabilityApp {
         }
     }
 
+    // Catalog title plus guidance for contract and wallet errors, the plain message for anything else
     getErrorMessage(error) {
-        if (error.data?.message) {
-            return error.data.message;
-        } else if (error.message) {
-            return error.message;
-        } else {
-            return 'An unknown error occurred';
-        }
+        const decoded = decodeContractError(error, this.readContract ? this.readContract.interface : null);
+        return decoded.guidance ? `${decoded.message}. ${decoded.guidance}` : decoded.message;
     }
 }
 
@@ -0,0 +1,295 @@
+// Bulk product import: parses CSV/JSON rows, validates them up front and submits them as
+// registerProduct transactions with explicitly managed nonces, through the transaction manager
+// (transactions.js) so every row gets the fee preview and appears in the pending queue and history.
+//
+// The job is saved to localStorage after every state change. Each row remembers the nonce
+// and hash it was sent with, so a resumed job checks the chain before re-sending anything.
+
+const IMPORT_FIELDS = ['manufacturerId', 'qualityScore', 'cost', 'category'];
+const IMPORT_STORAGE_PREFIX = 'privacyTraceability.bulkImport';
+
+// Minimal RFC 4180 line splitter: handles quoted fields, escaped quotes and commas in quotes
+function splitCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+// The writing side of splitCsvLine, shared by every CSV export; null and undefined are empty cells
+function toCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvRows(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const header = splitCsvLine(lines[0]).map(cell => cell.trim());
+    const missing = IMPORT_FIELDS.filter(field => !header.includes(field));
+    if (missing.length > 0) {
+        throw new Error(`CSV header is missing: ${missing.join(', ')}`);
+    }
+
+    return lines.slice(1).map(line => {
+        const cells = splitCsvLine(line);
+        const row = {};
+        header.forEach((name, index) => {
+            row[name] = cells[index];
+        });
+        return row;
+    });
+}
+
+function parseImportFile(text, fileName) {
+    const rows = fileName.toLowerCase().endsWith('.json') ? JSON.parse(text) : parseCsvRows(text);
+    if (!Array.isArray(rows)) {
+        throw new Error('Import file must contain a list of products');
+    }
+
+    return rows.map(row => ({
+        manufacturerId: Number(row.manufacturerId),
+        qualityScore: row.qualityScore === '' || row.qualityScore === undefined ? NaN : Number(row.qualityScore),
+        cost: Number(row.cost),
+        category: typeof row.category === 'string' ? row.category.trim() : ''
+    }));
+}
+
+// Validates every row with the registerProduct rules; returns [{ row, errors }]
+function validateImportRows(rows, batchId) {
+    return rows.map(row => ({
+        row,
+        errors: validateProductFields({ ...row, batchId })
+    }));
+}
+
+class BulkImportJob {
+    constructor(storageKey, state) {
+        this.storageKey = storageKey;
+        this.state = state;
+    }
+
+    static storageKey(chainId, contractAddress, userAddress) {
+        return `${IMPORT_STORAGE_PREFIX}:${chainId}:${contractAddress.toLowerCase()}:${userAddress.toLowerCase()}`;
+    }
+
+    static create(storageKey, batchId, rows) {
+        const job = new BulkImportJob(storageKey, {
+            batchId,
+            createdAt: Date.now(),
+            rows: rows.map((row, index) => ({
+                index,
+                ...row,
+                status: 'pending',
+                nonce: null,
+                txHash: null,
+                productId: null,
+                error: null,
+                retryable: false
+            }))
+        });
+        job.save();
+        return job;
+    }
+
+    static load(storageKey) {
+        const saved = localStorage.getItem(storageKey);
+        return saved ? new BulkImportJob(storageKey, JSON.parse(saved)) : null;
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    }
+
+    discard() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    isFinished() {
+        return this.state.rows.every(row => row.status === 'confirmed' || row.status === 'failed');
+    }
+
+    // Rejected, cancelled and reverted rows never created a product, so they can be sent again
+    retryFailed() {
+        this.state.rows.forEach(row => {
+            if (row.status === 'failed' && row.retryable) {
+                Object.assign(row, { status: 'pending', nonce: null, txHash: null, error: null, retryable: false });
+            }
+        });
+        this.save();
+    }
+
+    summary() {
+        const counts = { pending: 0, submitted: 0, confirmed: 0, failed: 0 };
+        this.state.rows.forEach(row => counts[row.status]++);
+        return counts;
+    }
+
+    // Settles rows sent before a reload: mined ones are confirmed or failed from their receipt,
+    // dropped ones whose nonce is still unused go back to pending
+    async reconcile(contract, onUpdate) {
+        const provider = contract.provider;
+        const signerAddress = await contract.signer.getAddress();
+        const confirmedNonce = await provider.getTransactionCount(signerAddress, 'latest');
+        const pendingNonce = await provider.getTransactionCount(signerAddress, 'pending');
+
+        for (const row of this.state.rows) {
+            // The page closed between handing the row to the wallet and recording its hash
+            if (row.status === 'pending' && row.nonce !== null) {
+                if (row.nonce < pendingNonce) {
+                    row.status = 'failed';
+                    row.error = 'May have been sent before the page closed; check your wallet history before re-importing this row';
+                } else {
+                    row.nonce = null;
+                }
+                this.save();
+                onUpdate(this);
+                continue;
+            }
+            if (row.status !== 'submitted') continue;
+
+            const receipt = await provider.getTransactionReceipt(row.txHash);
+            if (receipt) {
+                this.applyReceipt(contract, row, receipt);
+            } else if (await provider.getTransaction(row.txHash)) {
+                continue;
+            } else if (row.nonce < confirmedNonce) {
+                row.status = 'failed';
+                row.error = 'Transaction was replaced; check your wallet history before re-importing this row';
+            } else {
+                row.status = 'pending';
+                row.nonce = null;
+                row.txHash = null;
+            }
+            this.save();
+            onUpdate(this);
+        }
+    }
+
+    // Rows are handed to the transaction manager without waiting for each to be mined; the
+    // manager's preflight rejects rows the contract would refuse before the fee preview
+    async run({ transactions, encryptInputs, onUpdate }) {
+        const contract = transactions.contract;
+        await this.reconcile(contract, onUpdate);
+
+        const signerAddress = await contract.signer.getAddress();
+        let nonce = await contract.provider.getTransactionCount(signerAddress, 'pending');
+        const sent = [];
+        const follow = (row, entry, settled) => {
+            // Awaited in order below; a row failing early must not surface as an unhandled rejection
+            settled.catch(() => {});
+            sent.push({ row, entry, settled });
+        };
+
+        for (const row of this.state.rows) {
+            // Sent before a reload; the manager no longer has anyone awaiting it
+            if (row.status === 'submitted') {
+                follow(row, null, contract.provider.waitForTransaction(row.txHash));
+                continue;
+            }
+            if (row.status !== 'pending') continue;
+
+            row.nonce = nonce;
+            this.save();
+
+            try {
+                const encrypted = await encryptInputs([
+                    { type: 'u32', value: row.manufacturerId },
+                    { type: 'u32', value: row.qualityScore },
+                    { type: 'u32', value: row.cost }
+                ]);
+                const params = [
+                    encrypted.handles[0],
+                    encrypted.handles[1],
+                    encrypted.handles[2],
+                    this.state.batchId,
+                    row.category,
+                    encrypted.inputProof
+                ];
+                const { entry, settled } = await transactions.submit({
+                    action: `Import row ${row.index + 1}`,
+                    args: { batchId: this.state.batchId, category: row.category },
+                    method: 'registerProduct',
+                    params,
+                    nonce
+                });
+
+                // The wallet may have replaced the requested nonce; keep the one it actually used
+                row.status = 'submitted';
+                row.txHash = entry.hash;
+                row.nonce = entry.nonce;
+                nonce = entry.nonce + 1;
+                follow(row, entry, settled);
+            } catch (error) {
+                row.status = 'failed';
+                row.error = error.message;
+                row.retryable = true;
+                row.nonce = null;
+                // A rejected prompt leaves the nonce unused; resync in case the wallet picked its own
+                nonce = await contract.provider.getTransactionCount(signerAddress, 'pending');
+            }
+            this.save();
+            onUpdate(this);
+        }
+
+        for (const { row, entry, settled } of sent) {
+            try {
+                this.applyReceipt(contract, row, await settled);
+            } catch (error) {
+                // The manager stopped following it (wallet switched); a resumed job reconciles the row
+                if (entry && entry.status === 'pending') continue;
+                row.status = 'failed';
+                row.error = error.message;
+                row.retryable = !!entry && (entry.status === 'cancelled' || entry.error === 'Transaction reverted');
+            }
+            this.save();
+            onUpdate(this);
+        }
+    }
+
+    applyReceipt(contract, row, receipt) {
+        if (receipt.status === 0) {
+            row.status = 'failed';
+            row.error = 'Transaction reverted';
+            row.retryable = true;
+            return;
+        }
+
+        const event = receipt.logs
+            .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+            .map(log => {
+                try {
+                    return contract.interface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .find(parsed => parsed && parsed.name === 'ProductRegistered');
+
+        row.status = 'confirmed';
+        row.productId = event ? event.args.productId.toString() : null;
+    }
+}
@@ -0,0 +1,143 @@
+// Command-line front end for TraceabilityClient, meant for scripts against a local dev chain
+//
+//   node cli.js <command> [--option value ...]
+//
+// The deployment comes from the registry (TRACE_DEPLOYMENT, default "local"); TRACE_RPC_URL
+// overrides its RPC endpoint and TRACE_PRIVATE_KEY signs writes. Every command prints its result
+// as JSON and exits with status 1 when the result is an error. Requires ethers v5 (npm i ethers@5).
+
+const { ethers } = require('ethers');
+const { TraceabilityClient } = require('./client');
+
+const COMMANDS = {
+    'create-batch': {
+        usage: '--suppliers <n> --quantity <n>',
+        run: (client, options) => client.createBatch({
+            supplierCount: toInteger(options.suppliers),
+            quantity: toInteger(options.quantity)
+        })
+    },
+    'register-product': {
+        usage: '--batch <id> --category <name> --manufacturer-id <n> --quality <0-100> --cost <n>',
+        run: (client, options) => client.registerProduct({
+            manufacturerId: toInteger(options['manufacturer-id']),
+            qualityScore: toInteger(options.quality),
+            cost: toInteger(options.cost),
+            batchId: toInteger(options.batch),
+            category: options.category || ''
+        })
+    },
+    'add-trace': {
+        usage: '--product <id> --event <type> --location <n> --handler <n> [--quality-check passed|failed]',
+        run: (client, options) => client.addTraceRecord({
+            productId: toInteger(options.product),
+            locationId: toInteger(options.location),
+            handlerId: toInteger(options.handler),
+            qualityCheck: options['quality-check'] !== 'failed',
+            eventType: options.event || ''
+        })
+    },
+    'seal-batch': {
+        usage: '--batch <id>',
+        run: (client, options) => client.sealBatch({ batchId: toInteger(options.batch) })
+    },
+    recall: {
+        usage: '--products <id,id,...> --reason <text>',
+        run: (client, options) => client.recallProducts({
+            productIds: (options.products || '').split(',').filter(Boolean).map(id => toInteger(id.trim())),
+            reason: options.reason || ''
+        })
+    },
+    'grant-role': {
+        usage: '--role manufacturer|tracker --account <address>',
+        run: (client, options) => client.grantRole({ role: options.role, account: options.account })
+    },
+    'revoke-role': {
+        usage: '--role manufacturer|tracker --account <address>',
+        run: (client, options) => client.revokeRole({ role: options.role, account: options.account })
+    },
+    roles: {
+        usage: '--account <address>',
+        run: (client, options) => client.getRoles({ account: options.account })
+    },
+    product: {
+        usage: '--product <id>',
+        run: (client, options) => client.getProduct({ productId: toInteger(options.product) })
+    },
+    batch: {
+        usage: '--batch <id>',
+        run: (client, options) => client.getBatch({ batchId: toInteger(options.batch) })
+    },
+    history: {
+        usage: '--product <id>',
+        run: (client, options) => client.getTraceHistory({ productId: toInteger(options.product) })
+    },
+    verify: {
+        usage: '--product <id>',
+        run: (client, options) => client.verifyProduct({ productId: toInteger(options.product) })
+    },
+    'recall-status': {
+        usage: '--product <id>',
+        run: (client, options) => client.getRecallStatus({ productId: toInteger(options.product) })
+    },
+    stats: {
+        usage: '',
+        run: (client) => client.getStatistics()
+    }
+};
+
+// Leaves anything that is not a plain integer as NaN so the client's validation reports it
+function toInteger(value) {
+    return /^\d+$/.test(value || '') ? Number(value) : NaN;
+}
+
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${args[i]}`);
+        }
+        options[args[i].slice(2)] = args[i + 1];
+        i++;
+    }
+    return options;
+}
+
+function printUsage() {
+    console.error('Usage: node cli.js <command> [options]\n');
+    Object.entries(COMMANDS).forEach(([name, command]) => {
+        console.error(`  ${name} ${command.usage}`);
+    });
+    console.error('\nEnvironment: TRACE_DEPLOYMENT (default local), TRACE_RPC_URL, TRACE_PRIVATE_KEY');
+}
+
+async function main() {
+    const [name, ...args] = process.argv.slice(2);
+    const command = COMMANDS[name];
+    if (!command) {
+        printUsage();
+        process.exit(name ? 1 : 0);
+    }
+
+    const deployment = resolveDeployment(new URLSearchParams({
+        deployment: process.env.TRACE_DEPLOYMENT || 'local'
+    }));
+    if (deployment.requested) {
+        throw new Error(`Unknown deployment: ${deployment.requested}`);
+    }
+    // The environment is the operator's own, unlike URL parameters, so it may point any deployment elsewhere
+    deployment.rpcUrl = process.env.TRACE_RPC_URL || deployment.rpcUrl;
+
+    const provider = new ethers.providers.StaticJsonRpcProvider(deployment.rpcUrl);
+    const signer = process.env.TRACE_PRIVATE_KEY ? new ethers.Wallet(process.env.TRACE_PRIVATE_KEY, provider) : null;
+    const client = new TraceabilityClient({ deployment, provider, signer });
+
+    const result = await command.run(client, parseOptions(args));
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.ok ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
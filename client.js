@@ -0,0 +1,360 @@
+// Headless client for the PrivateTraceability contract, shared by the browser app and Node scripts
+//
+// Nothing here touches the DOM. Inputs are validated before anything is encrypted or sent, and
+// every method resolves with a result instead of throwing:
+//   { ok: true, value }  or  { ok: false, error: { code, message, guidance, problems } }
+// where code is an ERROR_CATALOG key (errors.js) and problems lists invalid input fields.
+//
+// prepare*() methods stop at the { method, params, args } call so the app can send it through its
+// transaction manager; the plain methods also preflight, send and wait for the receipt.
+// In the browser the shared modules are globals from earlier <script> tags; under Node they are
+// required here and exposed the same way.
+
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(
+        globalThis,
+        { ethers: require('ethers') },
+        require('./deployments'),
+        require('./validation'),
+        require('./roles'),
+        require('./errors'),
+        require('./preflight'),
+        require('./adapters'),
+        require('./encryption')
+    );
+}
+
+function clientSuccess(value) {
+    return { ok: true, value };
+}
+
+function clientFailure(error, contractInterface = null) {
+    const decoded = decodeContractError(error, contractInterface);
+    return {
+        ok: false,
+        error: {
+            code: decoded.code,
+            message: decoded.message,
+            guidance: decoded.guidance,
+            problems: decoded.problems || []
+        }
+    };
+}
+
+function invalidInput(problems) {
+    const error = new TraceabilityError('INVALID_INPUT', { detail: problems.join('; ') });
+    error.problems = problems;
+    return clientFailure(error);
+}
+
+class TraceabilityClient {
+    // deployment is a registry entry (deployments.js); without a signer only the queries work
+    constructor({ deployment, provider, signer = null, encryptor = null }) {
+        if (deployment.abi !== 'private-traceability') {
+            throw new Error(`TraceabilityClient drives the private-traceability contract, not ${deployment.abi}`);
+        }
+
+        this.deployment = deployment;
+        this.read = createDeploymentContract(deployment, provider);
+        this.signer = signer;
+        this.contract = signer ? this.read.connect(signer) : null;
+        this.encryptor = encryptor || createEncryptor(deployment.fheBackend, { provider });
+        this.adapter = createContractAdapter(deployment.abi, this.read);
+    }
+
+    async run(action) {
+        try {
+            return clientSuccess(await action());
+        } catch (error) {
+            return clientFailure(error, this.read.interface);
+        }
+    }
+
+    async encrypt(fields) {
+        const account = ethers.utils.getAddress(await this.signer.getAddress());
+        return this.encryptor.encrypt(this.deployment.address, account, fields);
+    }
+
+    requireSigner() {
+        return this.signer ? null : clientFailure(new Error('A signer is required for this operation'));
+    }
+
+    // ---- Writes: prepare ----
+
+    async prepareCreateBatch({ supplierCount, quantity }) {
+        const problems = validateBatchFields({ supplierCount, quantity });
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.requireSigner() || this.run(async () => {
+            const encrypted = await this.encrypt([
+                { type: 'u32', value: supplierCount },
+                { type: 'u32', value: quantity }
+            ]);
+            return {
+                method: 'createBatch',
+                params: [encrypted.handles[0], encrypted.handles[1], encrypted.inputProof],
+                args: {}
+            };
+        });
+    }
+
+    async prepareRegisterProduct({ manufacturerId, qualityScore, cost, batchId, category }) {
+        const problems = validateProductFields({ manufacturerId, qualityScore, cost, batchId, category });
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.requireSigner() || this.run(async () => {
+            const encrypted = await this.encrypt([
+                { type: 'u32', value: manufacturerId },
+                { type: 'u32', value: qualityScore },
+                { type: 'u32', value: cost }
+            ]);
+            return {
+                method: 'registerProduct',
+                params: [encrypted.handles[0], encrypted.handles[1], encrypted.handles[2], batchId, category, encrypted.inputProof],
+                args: { batchId, category }
+            };
+        });
+    }
+
+    async prepareAddTraceRecord({ productId, locationId, handlerId, qualityCheck, eventType }) {
+        const problems = validateTraceFields({ productId, locationId, handlerId, qualityCheck, eventType });
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.requireSigner() || this.run(async () => {
+            const encrypted = await this.encrypt([
+                { type: 'u32', value: locationId },
+                { type: 'u32', value: handlerId },
+                { type: 'bool', value: qualityCheck }
+            ]);
+            return {
+                method: 'addTraceRecord',
+                params: [productId, encrypted.handles[0], encrypted.handles[1], encrypted.handles[2], eventType, encrypted.inputProof],
+                args: { productId, eventType }
+            };
+        });
+    }
+
+    async prepareSealBatch({ batchId }) {
+        const problems = validateId(batchId, 'Batch ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return clientSuccess({ method: 'sealBatch', params: [batchId], args: { batchId } });
+    }
+
+    async prepareRecallProducts({ productIds, reason }) {
+        const problems = validateRecallFields({ productIds, reason });
+        if (problems.length > 0) return invalidInput(problems);
+
+        return clientSuccess({
+            method: 'recallProducts',
+            params: [productIds, reason.trim()],
+            args: { products: productIds.join(', '), reason: reason.trim() }
+        });
+    }
+
+    async prepareRequestDecryption({ productId }) {
+        const problems = validateId(productId, 'Product ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return clientSuccess({ method: 'requestProductDecryption', params: [productId], args: { productId } });
+    }
+
+    async prepareSetRole({ role, account, granted }) {
+        const problems = [];
+        if (!this.adapter.roles().includes(role)) {
+            problems.push(`Role must be one of: ${this.adapter.roles().join(', ')}`);
+        }
+        if (typeof account !== 'string' || !ethers.utils.isAddress(account)) {
+            problems.push('Account must be a valid address');
+        }
+        if (problems.length > 0) return invalidInput(problems);
+
+        const address = ethers.utils.getAddress(account);
+        return clientSuccess({ ...this.adapter.setRole(role, address, granted), args: { role, account: address } });
+    }
+
+    // ---- Writes: send ----
+
+    // Preflights and sends a prepared call; resolves with the tx hash, block and any IDs it emitted
+    async send(prepared) {
+        if (!prepared.ok) return prepared;
+        const denied = this.requireSigner();
+        if (denied) return denied;
+
+        return this.run(async () => {
+            const { method, params } = prepared.value;
+            await preflightTransaction(this.contract, this.read, { method, params }, await this.signer.getAddress());
+
+            const tx = await this.contract[method](...params);
+            const receipt = await tx.wait();
+            const value = { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber };
+            (receipt.events || []).forEach(event => {
+                ['productId', 'batchId', 'requestId'].forEach(name => {
+                    if (event.args && event.args[name] !== undefined) {
+                        value[name] = event.args[name].toString();
+                    }
+                });
+            });
+            return value;
+        });
+    }
+
+    async createBatch(input) {
+        return this.send(await this.prepareCreateBatch(input));
+    }
+
+    async registerProduct(input) {
+        return this.send(await this.prepareRegisterProduct(input));
+    }
+
+    async addTraceRecord(input) {
+        return this.send(await this.prepareAddTraceRecord(input));
+    }
+
+    async sealBatch(input) {
+        return this.send(await this.prepareSealBatch(input));
+    }
+
+    async recallProducts(input) {
+        return this.send(await this.prepareRecallProducts(input));
+    }
+
+    // Opens a pending request; the result's requestId is what the gateway's callback answers
+    async requestDecryption(input) {
+        return this.send(await this.prepareRequestDecryption(input));
+    }
+
+    async grantRole({ role, account }) {
+        return this.send(await this.prepareSetRole({ role, account, granted: true }));
+    }
+
+    async revokeRole({ role, account }) {
+        return this.send(await this.prepareSetRole({ role, account, granted: false }));
+    }
+
+    // ---- Queries ----
+
+    async getRoles({ account }) {
+        if (typeof account !== 'string' || !ethers.utils.isAddress(account)) {
+            return invalidInput(['Account must be a valid address']);
+        }
+
+        return this.run(async () => {
+            const roles = { owner: (await this.adapter.owner()).toLowerCase() === account.toLowerCase() };
+            for (const role of this.adapter.roles()) {
+                roles[role] = await this.adapter.hasRole(role, account);
+            }
+            return roles;
+        });
+    }
+
+    async getProduct({ productId }) {
+        const problems = validateId(productId, 'Product ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.run(async () => {
+            const product = await this.read.getProductInfo(productId);
+            return {
+                productId: productId.toString(),
+                manufacturer: product.manufacturer,
+                batchId: product.batchId.toString(),
+                category: product.category,
+                traceRecordCount: product.traceRecordCount.toNumber()
+            };
+        });
+    }
+
+    async getBatch({ batchId }) {
+        const problems = validateId(batchId, 'Batch ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.run(async () => {
+            const batch = await this.read.getBatchInfo(batchId);
+            return {
+                batchId: batchId.toString(),
+                isSealed: batch.isSealed,
+                batchOwner: batch.batchOwner,
+                productCount: batch.productCount.toNumber()
+            };
+        });
+    }
+
+    async verifyProduct({ productId }) {
+        const problems = validateId(productId, 'Product ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.run(() => this.read.verifyProductAuthenticity(productId));
+    }
+
+    // Deployments from before recalls existed have no productRecalls and fail with REVERTED
+    async getRecallStatus({ productId }) {
+        const problems = validateId(productId, 'Product ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.run(async () => {
+            const recall = await this.read.productRecalls(productId);
+            return {
+                productId: productId.toString(),
+                recalled: recall.recalled,
+                recalledAt: recall.recalled ? recall.recalledAt.toNumber() : null,
+                recalledBy: recall.recalled ? recall.recalledBy : null,
+                reason: recall.recalled ? recall.reason : null
+            };
+        });
+    }
+
+    async getDecryptionRequest({ requestId }) {
+        const problems = validateId(requestId, 'Request ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.run(async () => {
+            const request = await this.read.decryptionRequests(requestId);
+            if (request.requester === ethers.constants.AddressZero) {
+                throw createContractError('Unknown decryption request');
+            }
+            return {
+                requestId: requestId.toString(),
+                productId: request.productId.toString(),
+                requester: request.requester,
+                requestedAt: request.requestedAt.toNumber(),
+                fulfilled: request.fulfilled
+            };
+        });
+    }
+
+    // Public trace records joined with the TraceRecordAdded log each was emitted in
+    async getTraceHistory({ productId }) {
+        const problems = validateId(productId, 'Product ID');
+        if (problems.length > 0) return invalidInput(problems);
+
+        return this.run(async () => {
+            const count = (await this.read.getTraceRecordCount(productId)).toNumber();
+            const logs = await this.read.queryFilter(this.read.filters.TraceRecordAdded(productId), this.deployment.startBlock || 0);
+
+            const records = [];
+            for (let index = 0; index < count; index++) {
+                const record = await this.read.getPublicTraceInfo(productId, index);
+                const log = logs[index];
+                records.push({
+                    index,
+                    recorder: record.recorder,
+                    eventType: record.eventType,
+                    blockNumber: log ? log.blockNumber : null,
+                    transactionHash: log ? log.transactionHash : null
+                });
+            }
+            return records;
+        });
+    }
+
+    async getStatistics() {
+        return this.run(async () => ({
+            totalProducts: (await this.read.getTotalProducts()).toNumber(),
+            totalBatches: (await this.read.getTotalBatches()).toNumber()
+        }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TraceabilityClient };
+}
@@ -1,7 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint32, euint64, ebool, externalEuint32, externalEbool } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
 
 contract PrivateTraceability is SepoliaConfig {
@@ -9,6 +9,10 @@ contract PrivateTraceability is SepoliaConfig {
     address public owner;
     uint256 public nextProductId;
     uint256 public nextBatchId;
+    uint256 public nextDecryptionRequestId;
+    // Answers decryption requests; the owner until setDecryptionGateway names another account
+    address public decryptionGateway;
+    uint256 public constant DECRYPTION_REQUEST_TIMEOUT = 1 hours;
 
     struct ProductInfo {
         euint32 encryptedManufacturerId;
@@ -39,17 +43,49 @@ contract PrivateTraceability is SepoliaConfig {
         string publicEventType;
     }
 
+    struct RecallInfo {
+        bool recalled;
+        uint256 recalledAt;
+        address recalledBy;
+        string reason;
+    }
+
+    // Who asked for which product and whether the gateway granted it; the values themselves only
+    // reach the requester by user decryption
+    struct DecryptionRequest {
+        uint256 productId;
+        address requester;
+        uint256 requestedAt;
+        bool fulfilled;
+    }
+
     mapping(uint256 => ProductInfo) public products;
     mapping(uint256 => BatchInfo) public batches;
     mapping(uint256 => TraceRecord[]) public productTraceHistory;
     mapping(address => bool) public authorizedTrackers;
     mapping(address => bool) public authorizedManufacturers;
+    mapping(uint256 => DecryptionRequest) public decryptionRequests;
+    mapping(uint256 => mapping(address => bool)) public productHandlers;
+    mapping(uint256 => RecallInfo) public productRecalls;
+    uint256 public totalRecalls;
 
     event ProductRegistered(uint256 indexed productId, address indexed manufacturer, uint256 batchId);
     event BatchCreated(uint256 indexed batchId, address indexed owner);
     event TraceRecordAdded(uint256 indexed productId, address indexed recorder, string eventType);
+    /// @notice Emitted by addTraceRecord for every trace record, right after TraceRecordAdded.
+    /// @dev Each record carries an encrypted quality check, so this announces that a check was
+    ///      recorded by `checker`, never whether it passed.
     event QualityCheckPerformed(uint256 indexed productId, address indexed checker);
     event BatchSealed(uint256 indexed batchId);
+    event ProductRecalled(uint256 indexed productId, address indexed recalledBy, string reason);
+    event ManufacturerAuthorized(address indexed manufacturer, bool authorized);
+    event TrackerAuthorized(address indexed tracker, bool authorized);
+    event DecryptionRequested(uint256 indexed requestId, uint256 indexed productId, address indexed requester);
+    /// @notice Emitted by the gateway's fulfillDecryptionRequest callback.
+    /// @dev The result is an ACL grant: `requester` may now user-decrypt the product's encrypted
+    ///      fields. No cleartext is published.
+    event DecryptionFulfilled(uint256 indexed requestId, uint256 indexed productId, address indexed requester);
+    event DecryptionGatewayUpdated(address indexed gateway);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Not authorized owner");
@@ -75,35 +111,51 @@ contract PrivateTraceability is SepoliaConfig {
         owner = msg.sender;
         nextProductId = 1;
         nextBatchId = 1;
+        nextDecryptionRequestId = 1;
+        decryptionGateway = msg.sender;
         authorizedTrackers[msg.sender] = true;
         authorizedManufacturers[msg.sender] = true;
+
+        emit TrackerAuthorized(msg.sender, true);
+        emit ManufacturerAuthorized(msg.sender, true);
     }
 
     function addAuthorizedTracker(address tracker) external onlyOwner {
         authorizedTrackers[tracker] = true;
+        emit TrackerAuthorized(tracker, true);
     }
 
     function removeAuthorizedTracker(address tracker) external onlyOwner {
         authorizedTrackers[tracker] = false;
+        emit TrackerAuthorized(tracker, false);
     }
 
     function addAuthorizedManufacturer(address manufacturer) external onlyOwner {
         authorizedManufacturers[manufacturer] = true;
+        emit ManufacturerAuthorized(manufacturer, true);
     }
 
     function removeAuthorizedManufacturer(address manufacturer) external onlyOwner {
         authorizedManufacturers[manufacturer] = false;
+        emit ManufacturerAuthorized(manufacturer, false);
+    }
+
+    function setDecryptionGateway(address gateway) external onlyOwner {
+        require(gateway != address(0), "Gateway cannot be zero address");
+        decryptionGateway = gateway;
+        emit DecryptionGatewayUpdated(gateway);
     }
 
     function createBatch(
-        uint32 supplierCount,
-        uint32 quantity
+        externalEuint32 supplierCountInput,
+        externalEuint32 quantityInput,
+        bytes calldata inputProof
     ) external onlyAuthorizedManufacturer returns (uint256 batchId) {
         batchId = nextBatchId++;
 
-        euint32 encryptedSupplierCount = FHE.asEuint32(supplierCount);
+        euint32 encryptedSupplierCount = FHE.fromExternal(supplierCountInput, inputProof);
         euint64 encryptedBatchTimestamp = FHE.asEuint64(uint64(block.timestamp));
-        euint32 encryptedQuantity = FHE.asEuint32(quantity);
+        euint32 encryptedQuantity = FHE.fromExternal(quantityInput, inputProof);
 
         batches[batchId] = BatchInfo({
             encryptedSupplierCount: encryptedSupplierCount,
@@ -125,11 +177,12 @@ contract PrivateTraceability is SepoliaConfig {
     }
 
     function registerProduct(
-        uint32 manufacturerId,
-        uint32 qualityScore,
-        uint32 cost,
+        externalEuint32 manufacturerIdInput,
+        externalEuint32 qualityScoreInput,
+        externalEuint32 costInput,
         uint256 batchId,
-        string memory category
+        string memory category,
+        bytes calldata inputProof
     ) external onlyAuthorizedManufacturer returns (uint256 productId) {
         require(batchId > 0 && batchId < nextBatchId, "Invalid batch ID");
         require(!batches[batchId].isSealed, "Batch is sealed");
@@ -137,10 +190,10 @@ contract PrivateTraceability is SepoliaConfig {
 
         productId = nextProductId++;
 
-        euint32 encryptedManufacturerId = FHE.asEuint32(manufacturerId);
+        euint32 encryptedManufacturerId = FHE.fromExternal(manufacturerIdInput, inputProof);
         euint64 encryptedProductionTimestamp = FHE.asEuint64(uint64(block.timestamp));
-        euint32 encryptedQualityScore = FHE.asEuint32(qualityScore);
-        euint32 encryptedCost = FHE.asEuint32(cost);
+        euint32 encryptedQualityScore = FHE.fromExternal(qualityScoreInput, inputProof);
+        euint32 encryptedCost = FHE.fromExternal(costInput, inputProof);
 
         products[productId] = ProductInfo({
             encryptedManufacturerId: encryptedManufacturerId,
@@ -169,15 +222,16 @@ contract PrivateTraceability is SepoliaConfig {
 
     function addTraceRecord(
         uint256 productId,
-        uint32 locationId,
-        uint32 handlerId,
-        bool qualityCheckPassed,
-        string memory eventType
+        externalEuint32 locationIdInput,
+        externalEuint32 handlerIdInput,
+        externalEbool qualityCheckInput,
+        string memory eventType,
+        bytes calldata inputProof
     ) external onlyAuthorizedTracker productExists(productId) {
-        euint32 encryptedLocationId = FHE.asEuint32(locationId);
+        euint32 encryptedLocationId = FHE.fromExternal(locationIdInput, inputProof);
         euint64 encryptedTimestamp = FHE.asEuint64(uint64(block.timestamp));
-        euint32 encryptedHandlerId = FHE.asEuint32(handlerId);
-        ebool encryptedQualityCheck = FHE.asEbool(qualityCheckPassed);
+        euint32 encryptedHandlerId = FHE.fromExternal(handlerIdInput, inputProof);
+        ebool encryptedQualityCheck = FHE.fromExternal(qualityCheckInput, inputProof);
 
         TraceRecord memory newRecord = TraceRecord({
             encryptedLocationId: encryptedLocationId,
@@ -189,6 +243,7 @@ contract PrivateTraceability is SepoliaConfig {
         });
 
         productTraceHistory[productId].push(newRecord);
+        productHandlers[productId][msg.sender] = true;
 
         FHE.allowThis(encryptedLocationId);
         FHE.allowThis(encryptedTimestamp);
@@ -200,10 +255,7 @@ contract PrivateTraceability is SepoliaConfig {
         FHE.allow(encryptedQualityCheck, msg.sender);
 
         emit TraceRecordAdded(productId, msg.sender, eventType);
-
-        if (qualityCheckPassed) {
-            emit QualityCheckPerformed(productId, msg.sender);
-        }
+        emit QualityCheckPerformed(productId, msg.sender);
     }
 
     function sealBatch(uint256 batchId) external onlyAuthorizedManufacturer {
@@ -215,6 +267,31 @@ contract PrivateTraceability is SepoliaConfig {
         emit BatchSealed(batchId);
     }
 
+    // Recalls are public so anyone verifying a product sees them; products already recalled are skipped
+    function recallProducts(uint256[] calldata productIds, string calldata reason) external {
+        require(bytes(reason).length > 0, "Recall reason required");
+
+        for (uint256 i = 0; i < productIds.length; i++) {
+            uint256 productId = productIds[i];
+            require(products[productId].exists, "Product does not exist");
+            require(
+                msg.sender == owner || msg.sender == products[productId].manufacturer,
+                "Not authorized to recall"
+            );
+            if (productRecalls[productId].recalled) continue;
+
+            productRecalls[productId] = RecallInfo({
+                recalled: true,
+                recalledAt: block.timestamp,
+                recalledBy: msg.sender,
+                reason: reason
+            });
+            totalRecalls++;
+
+            emit ProductRecalled(productId, msg.sender, reason);
+        }
+    }
+
     function verifyProductAuthenticity(uint256 productId)
         external
         view
@@ -280,37 +357,62 @@ contract PrivateTraceability is SepoliaConfig {
         return (record.recorder, record.publicEventType);
     }
 
-    function requestProductDecryption(uint256 productId) external productExists(productId) {
-        require(
-            msg.sender == products[productId].manufacturer ||
-            msg.sender == owner ||
-            authorizedTrackers[msg.sender],
-            "Not authorized to decrypt"
-        );
+    // The owner and trackers that have handled the product may ask for its encrypted fields; the
+    // manufacturer was granted them at registration
+    function mayRequestDecryption(uint256 productId, address account) public view returns (bool) {
+        return account == owner || (authorizedTrackers[account] && productHandlers[productId][account]);
+    }
 
+    // Whether account is on the ACL for all of the product's encrypted fields
+    function hasDecryptionAccess(uint256 productId, address account)
+        public
+        view
+        productExists(productId)
+        returns (bool) {
         ProductInfo storage product = products[productId];
-        bytes32[] memory cts = new bytes32[](4);
-        cts[0] = FHE.toBytes32(product.encryptedManufacturerId);
-        cts[1] = FHE.toBytes32(product.encryptedProductionTimestamp);
-        cts[2] = FHE.toBytes32(product.encryptedQualityScore);
-        cts[3] = FHE.toBytes32(product.encryptedCost);
+        return FHE.isAllowed(product.encryptedManufacturerId, account) &&
+            FHE.isAllowed(product.encryptedProductionTimestamp, account) &&
+            FHE.isAllowed(product.encryptedQualityScore, account) &&
+            FHE.isAllowed(product.encryptedCost, account);
+    }
+
+    // Opens a pending request; the gateway answers it with fulfillDecryptionRequest within
+    // DECRYPTION_REQUEST_TIMEOUT or it expires
+    function requestProductDecryption(uint256 productId) external productExists(productId) returns (uint256) {
+        require(!hasDecryptionAccess(productId, msg.sender), "Already has decryption access");
+        require(mayRequestDecryption(productId, msg.sender), "Not authorized to decrypt");
+
+        uint256 requestId = nextDecryptionRequestId++;
+        decryptionRequests[requestId] = DecryptionRequest({
+            productId: productId,
+            requester: msg.sender,
+            requestedAt: block.timestamp,
+            fulfilled: false
+        });
 
-        FHE.requestDecryption(cts, this.processProductDecryption.selector);
+        emit DecryptionRequested(requestId, productId, msg.sender);
+        return requestId;
     }
 
-    function processProductDecryption(
-        uint256 requestId,
-        uint32 manufacturerId,
-        uint64 productionTimestamp,
-        uint32 qualityScore,
-        uint32 cost,
-        bytes[] memory signatures
-    ) external {
-        // Signature validation - adjust based on actual FHE library version
-        // FHE.checkSignatures(requestId, signatures);
-
-        // Process decrypted values
-        // Store or use the decrypted values as needed
+    // Gateway callback: grants the requester ACL access to the product's encrypted fields so they
+    // can user-decrypt them off-chain (EIP-712). Nothing is decrypted or stored in plaintext
+    // on-chain. The requester's eligibility is checked again in case a role was revoked meanwhile.
+    function fulfillDecryptionRequest(uint256 requestId) external {
+        require(msg.sender == decryptionGateway, "Not the decryption gateway");
+        DecryptionRequest storage request = decryptionRequests[requestId];
+        require(request.requester != address(0), "Unknown decryption request");
+        require(!request.fulfilled, "Decryption already fulfilled");
+        require(block.timestamp <= request.requestedAt + DECRYPTION_REQUEST_TIMEOUT, "Decryption request expired");
+        require(mayRequestDecryption(request.productId, request.requester), "Not authorized to decrypt");
+
+        ProductInfo storage product = products[request.productId];
+        FHE.allow(product.encryptedManufacturerId, request.requester);
+        FHE.allow(product.encryptedProductionTimestamp, request.requester);
+        FHE.allow(product.encryptedQualityScore, request.requester);
+        FHE.allow(product.encryptedCost, request.requester);
+        request.fulfilled = true;
+
+        emit DecryptionFulfilled(requestId, request.productId, request.requester);
     }
 
     function getTotalProducts() external view returns (uint256) {
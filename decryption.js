@@ -0,0 +1,240 @@
+// User decryption of ciphertext handles the connected wallet was granted with FHE.allow
+//
+// The wallet signs one EIP-712 decryption request per session; the signed request and the
+// decrypted values are held in memory only and dropped on reset (account change, disconnect,
+// page reload).
+
+const DECRYPTION_DURATION_DAYS = 1;
+const ZERO_HANDLE = ethers.constants.HashZero;
+
+const DECRYPTION_REQUEST_TYPES = {
+    UserDecryptRequestVerification: [
+        { name: 'publicKey', type: 'bytes' },
+        { name: 'contractAddresses', type: 'address[]' },
+        { name: 'contractsChainId', type: 'uint256' },
+        { name: 'startTimestamp', type: 'uint256' },
+        { name: 'durationDays', type: 'uint256' },
+        { name: 'extraData', type: 'bytes' }
+    ]
+};
+
+const KMS_VERIFIER_ABI = [
+    'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+const ACL_ABI = ['function persistAllowed(bytes32 handle, address account) view returns (bool)'];
+
+function normalizeDecryptedValue(value) {
+    if (typeof value === 'boolean' || value === null || value === undefined) {
+        return value ?? null;
+    }
+    return ethers.BigNumber.from(value.toString()).toString();
+}
+
+class UserDecryptor {
+    constructor() {
+        this.authorization = null;
+        this.cache = new Map();
+    }
+
+    reset() {
+        this.authorization = null;
+        this.cache.clear();
+    }
+
+    hasValidAuthorization(contractAddress, userAddress) {
+        const auth = this.authorization;
+        if (!auth) return false;
+
+        const expiresAt = auth.startTimestamp + auth.durationDays * 24 * 60 * 60;
+        return auth.userAddress === userAddress.toLowerCase() &&
+            auth.contractAddress === contractAddress.toLowerCase() &&
+            Math.floor(Date.now() / 1000) < expiresAt - 60;
+    }
+
+    async authorize(signer, contractAddress, userAddress) {
+        if (this.hasValidAuthorization(contractAddress, userAddress)) {
+            return this.authorization;
+        }
+
+        const startTimestamp = Math.floor(Date.now() / 1000);
+        const request = await this.createRequest(contractAddress, startTimestamp, DECRYPTION_DURATION_DAYS);
+        const signature = await signer._signTypedData(
+            request.eip712.domain,
+            { UserDecryptRequestVerification: request.eip712.types.UserDecryptRequestVerification },
+            request.eip712.message
+        );
+
+        this.authorization = {
+            ...request.keypair,
+            eip712: request.eip712,
+            signature,
+            startTimestamp,
+            durationDays: DECRYPTION_DURATION_DAYS,
+            contractAddress: contractAddress.toLowerCase(),
+            userAddress: userAddress.toLowerCase()
+        };
+        return this.authorization;
+    }
+
+    // Resolves each handle to its cleartext; returns { [handle]: value } (null for unset handles)
+    async decrypt(signer, contractAddress, userAddress, handles) {
+        const results = {};
+        const pending = [];
+
+        handles.forEach(handle => {
+            const key = `${userAddress.toLowerCase()}:${handle}`;
+            if (handle === ZERO_HANDLE) {
+                results[handle] = null;
+            } else if (this.cache.has(key)) {
+                results[handle] = this.cache.get(key);
+            } else if (!pending.includes(handle)) {
+                pending.push(handle);
+            }
+        });
+
+        if (pending.length === 0) return results;
+
+        const authorization = await this.authorize(signer, contractAddress, userAddress);
+        const decrypted = await this.userDecrypt(authorization, pending);
+
+        pending.forEach(handle => {
+            const value = normalizeDecryptedValue(decrypted[handle]);
+            this.cache.set(`${userAddress.toLowerCase()}:${handle}`, value);
+            results[handle] = value;
+        });
+
+        return results;
+    }
+}
+
+// Decrypts through the Zama relayer; the KMS re-encrypts each value under a session keypair
+class RelayerDecryptor extends UserDecryptor {
+    constructor(config = {}) {
+        super();
+        this.config = config;
+    }
+
+    async createRequest(contractAddress, startTimestamp, durationDays) {
+        const instance = await loadRelayerInstance(this.config);
+        const keypair = instance.generateKeypair();
+        const eip712 = instance.createEIP712(keypair.publicKey, [contractAddress], startTimestamp, durationDays);
+        return { keypair, eip712 };
+    }
+
+    async userDecrypt(authorization, handles) {
+        const instance = await loadRelayerInstance(this.config);
+        const contractAddress = ethers.utils.getAddress(authorization.contractAddress);
+
+        return instance.userDecrypt(
+            handles.map(handle => ({ handle, contractAddress })),
+            authorization.privateKey,
+            authorization.publicKey,
+            authorization.signature.replace('0x', ''),
+            [contractAddress],
+            ethers.utils.getAddress(authorization.userAddress),
+            authorization.startTimestamp,
+            authorization.durationDays
+        );
+    }
+}
+
+// Decrypts through a local node running the FHEVM mock coprocessor (devchain/). The node
+// checks the EIP-712 signature like the KMS would and answers from its cleartext store; the
+// ACL check the relayer SDK does before a request is made here.
+class MockDecryptor extends UserDecryptor {
+    constructor(provider) {
+        super();
+        this.provider = provider;
+    }
+
+    async createRequest(contractAddress, startTimestamp, durationDays) {
+        const { chainId, KMSVerifierAddress } = await loadMockRelayerMetadata(this.provider);
+        const kmsVerifier = new ethers.Contract(KMSVerifierAddress, KMS_VERIFIER_ABI, this.provider);
+        const { verifyingContract } = await kmsVerifier.eip712Domain();
+
+        const keypair = {
+            publicKey: ethers.utils.hexlify(ethers.utils.randomBytes(32)),
+            privateKey: ethers.utils.hexlify(ethers.utils.randomBytes(32))
+        };
+        const eip712 = {
+            domain: {
+                name: 'Decryption',
+                version: '1',
+                chainId,
+                verifyingContract
+            },
+            types: DECRYPTION_REQUEST_TYPES,
+            message: {
+                publicKey: keypair.publicKey,
+                contractAddresses: [ethers.utils.getAddress(contractAddress)],
+                contractsChainId: chainId,
+                startTimestamp,
+                durationDays,
+                extraData: '0x00'
+            }
+        };
+        return { keypair, eip712 };
+    }
+
+    async userDecrypt(authorization, handles) {
+        const { ACLAddress } = await loadMockRelayerMetadata(this.provider);
+        const acl = new ethers.Contract(ACLAddress, ACL_ABI, this.provider);
+        const contractAddress = ethers.utils.getAddress(authorization.contractAddress);
+        const userAddress = ethers.utils.getAddress(authorization.userAddress);
+
+        await Promise.all(handles.map(async handle => {
+            const [userAllowed, contractAllowed] = await Promise.all([
+                acl.persistAllowed(handle, userAddress),
+                acl.persistAllowed(handle, contractAddress)
+            ]);
+            if (!userAllowed || !contractAllowed) {
+                throw new Error(`Handle ${handle} is not allowed for ${userAddress}`);
+            }
+        }));
+
+        const message = authorization.eip712.message;
+        const response = await this.provider.send('fhevm_relayer_v1_user_decrypt', [{
+            handleContractPairs: handles.map(handle => ({ handle, contractAddress })),
+            requestValidity: {
+                startTimestamp: String(message.startTimestamp),
+                durationDays: String(message.durationDays)
+            },
+            contractsChainId: String(message.contractsChainId),
+            contractAddresses: [contractAddress],
+            userAddress,
+            signature: authorization.signature.replace('0x', ''),
+            publicKey: authorization.publicKey.replace('0x', ''),
+            extraData: message.extraData
+        }]);
+
+        // Cleartexts come back as hex in request order; byte 30 of a handle is its FHE type
+        const results = {};
+        handles.forEach((handle, index) => {
+            const value = response.payload.decrypted_values[index];
+            if (value === '0x') {
+                results[handle] = null;
+            } else if (ethers.utils.arrayify(handle)[30] === FHE_TYPES.bool.code) {
+                results[handle] = !ethers.BigNumber.from(value).isZero();
+            } else {
+                results[handle] = ethers.BigNumber.from(value);
+            }
+        });
+        return results;
+    }
+}
+
+function createDecryptor(backend, options = {}) {
+    switch (backend) {
+        case 'mock':
+            return new MockDecryptor(options.provider);
+        case 'relayer':
+            return new RelayerDecryptor(options.relayerConfig);
+        default:
+            throw new Error(`Unknown decryption backend: ${backend}`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createDecryptor };
+}
@@ -0,0 +1,285 @@
+// Known deployments of the traceability contract, keyed by chain ID
+//
+// Each chain carries the parameters a wallet needs to add it (wallet_addEthereumChain) and the
+// deployments living on it. The app picks one with ?deployment=<id>; without it, a label's
+// ?contract= picks the matching entry and everything else falls back to DEFAULT_DEPLOYMENT_ID.
+// ?rpc= and ?fhe= override the read endpoint and FHE backend, but only on the local dev chain:
+// anywhere else a shared link could point reads, ?verify= checks included, at an RPC that lies.
+// The app probes which contract actually answers at the address (adapters.js); an entry's `abi`
+// is used when that probe cannot run.
+
+const DEFAULT_DEPLOYMENT_ID = 'sepolia';
+
+// Chains whose deployments honour ?rpc= and ?fhe=
+const OVERRIDABLE_CHAIN_IDS = [31337];
+
+// ABI variants by name; a deployment refers to one through its `abi` field
+const CONTRACT_ABIS = {
+    // contracts/PrivateTraceability.sol
+    'private-traceability': [
+        "function owner() view returns (address)",
+        "function nextProductId() view returns (uint256)",
+        "function nextBatchId() view returns (uint256)",
+        "function authorizedTrackers(address) view returns (bool)",
+        "function authorizedManufacturers(address) view returns (bool)",
+        "function products(uint256) view returns (bytes32 encryptedManufacturerId, bytes32 encryptedProductionTimestamp, bytes32 encryptedQualityScore, bytes32 encryptedCost, bool exists, address manufacturer, uint256 batchId, string publicCategory)",
+        "function batches(uint256) view returns (bytes32 encryptedSupplierCount, bytes32 encryptedBatchTimestamp, bytes32 encryptedQuantity, bool isSealed, address batchOwner)",
+        "function productTraceHistory(uint256, uint256) view returns (bytes32 encryptedLocationId, bytes32 encryptedTimestamp, bytes32 encryptedHandlerId, bytes32 encryptedQualityCheck, address recorder, string publicEventType)",
+        "function addAuthorizedTracker(address tracker)",
+        "function removeAuthorizedTracker(address tracker)",
+        "function addAuthorizedManufacturer(address manufacturer)",
+        "function removeAuthorizedManufacturer(address manufacturer)",
+        "function createBatch(bytes32 supplierCountInput, bytes32 quantityInput, bytes inputProof) returns (uint256)",
+        "function registerProduct(bytes32 manufacturerIdInput, bytes32 qualityScoreInput, bytes32 costInput, uint256 batchId, string memory category, bytes inputProof) returns (uint256)",
+        "function addTraceRecord(uint256 productId, bytes32 locationIdInput, bytes32 handlerIdInput, bytes32 qualityCheckInput, string memory eventType, bytes inputProof)",
+        "function sealBatch(uint256 batchId)",
+        "function verifyProductAuthenticity(uint256 productId) view returns (bool)",
+        "function getProductInfo(uint256 productId) view returns (address manufacturer, uint256 batchId, string memory category, uint256 traceRecordCount)",
+        "function getBatchInfo(uint256 batchId) view returns (bool isSealed, address batchOwner, uint256 productCount)",
+        "function getTraceRecordCount(uint256 productId) view returns (uint256)",
+        "function getPublicTraceInfo(uint256 productId, uint256 recordIndex) view returns (address recorder, string memory eventType)",
+        "function requestProductDecryption(uint256 productId) returns (uint256)",
+        "function fulfillDecryptionRequest(uint256 requestId)",
+        "function setDecryptionGateway(address gateway)",
+        "function nextDecryptionRequestId() view returns (uint256)",
+        "function decryptionGateway() view returns (address)",
+        "function DECRYPTION_REQUEST_TIMEOUT() view returns (uint256)",
+        "function decryptionRequests(uint256) view returns (uint256 productId, address requester, uint256 requestedAt, bool fulfilled)",
+        "function mayRequestDecryption(uint256 productId, address account) view returns (bool)",
+        "function hasDecryptionAccess(uint256 productId, address account) view returns (bool)",
+        "function productHandlers(uint256 productId, address handler) view returns (bool)",
+        "function productRecalls(uint256) view returns (bool recalled, uint256 recalledAt, address recalledBy, string reason)",
+        "function totalRecalls() view returns (uint256)",
+        "function recallProducts(uint256[] productIds, string reason)",
+        "function getTotalProducts() view returns (uint256)",
+        "function getTotalBatches() view returns (uint256)",
+        "event ProductRegistered(uint256 indexed productId, address indexed manufacturer, uint256 batchId)",
+        "event BatchCreated(uint256 indexed batchId, address indexed owner)",
+        "event TraceRecordAdded(uint256 indexed productId, address indexed recorder, string eventType)",
+        "event QualityCheckPerformed(uint256 indexed productId, address indexed checker)",
+        "event BatchSealed(uint256 indexed batchId)",
+        "event ProductRecalled(uint256 indexed productId, address indexed recalledBy, string reason)",
+        "event ManufacturerAuthorized(address indexed manufacturer, bool authorized)",
+        "event TrackerAuthorized(address indexed tracker, bool authorized)",
+        "event DecryptionRequested(uint256 indexed requestId, uint256 indexed productId, address indexed requester)",
+        "event DecryptionFulfilled(uint256 indexed requestId, uint256 indexed productId, address indexed requester)",
+        "event DecryptionGatewayUpdated(address indexed gateway)"
+    ],
+    // contracts/PrivateTraceability.sol as first deployed to Sepolia: plaintext uint32 inputs the
+    // contract encrypts itself, and no decryption requests, recalls or role events
+    'private-traceability-legacy': [
+        "function owner() view returns (address)",
+        "function nextProductId() view returns (uint256)",
+        "function nextBatchId() view returns (uint256)",
+        "function authorizedTrackers(address) view returns (bool)",
+        "function authorizedManufacturers(address) view returns (bool)",
+        "function products(uint256) view returns (bytes32 encryptedManufacturerId, bytes32 encryptedProductionTimestamp, bytes32 encryptedQualityScore, bytes32 encryptedCost, bool exists, address manufacturer, uint256 batchId, string publicCategory)",
+        "function batches(uint256) view returns (bytes32 encryptedSupplierCount, bytes32 encryptedBatchTimestamp, bytes32 encryptedQuantity, bool isSealed, address batchOwner)",
+        "function productTraceHistory(uint256, uint256) view returns (bytes32 encryptedLocationId, bytes32 encryptedTimestamp, bytes32 encryptedHandlerId, bytes32 encryptedQualityCheck, address recorder, string publicEventType)",
+        "function addAuthorizedTracker(address tracker)",
+        "function removeAuthorizedTracker(address tracker)",
+        "function addAuthorizedManufacturer(address manufacturer)",
+        "function removeAuthorizedManufacturer(address manufacturer)",
+        "function createBatch(uint32 supplierCount, uint32 quantity) returns (uint256)",
+        "function registerProduct(uint32 manufacturerId, uint32 qualityScore, uint32 cost, uint256 batchId, string memory category) returns (uint256)",
+        "function addTraceRecord(uint256 productId, uint32 locationId, uint32 handlerId, bool qualityCheckPassed, string memory eventType)",
+        "function sealBatch(uint256 batchId)",
+        "function verifyProductAuthenticity(uint256 productId) view returns (bool)",
+        "function getProductInfo(uint256 productId) view returns (address manufacturer, uint256 batchId, string memory category, uint256 traceRecordCount)",
+        "function getBatchInfo(uint256 batchId) view returns (bool isSealed, address batchOwner, uint256 productCount)",
+        "function getTraceRecordCount(uint256 productId) view returns (uint256)",
+        "function getPublicTraceInfo(uint256 productId, uint256 recordIndex) view returns (address recorder, string memory eventType)",
+        "function getTotalProducts() view returns (uint256)",
+        "function getTotalBatches() view returns (uint256)",
+        "event ProductRegistered(uint256 indexed productId, address indexed manufacturer, uint256 batchId)",
+        "event BatchCreated(uint256 indexed batchId, address indexed owner)",
+        "event TraceRecordAdded(uint256 indexed productId, address indexed recorder, string eventType)",
+        "event QualityCheckPerformed(uint256 indexed productId, address indexed checker)",
+        "event BatchSealed(uint256 indexed batchId)"
+    ],
+    // contracts/PrivacyTraceability.sol
+    'privacy-traceability': [
+        "function owner() view returns (address)",
+        "function authorizedManufacturers(address) view returns (bool)",
+        "function productIds(uint256) view returns (string)",
+        "function contractPaused() view returns (bool)",
+        "function addProduct(string memory productId, string memory productName, string memory manufacturer, bool isAuthentic)",
+        "function addProductSafe(string memory productId, string memory productName, string memory manufacturer, bool isAuthentic)",
+        "function verifyProduct(string memory productId) view returns (bytes32)",
+        "function getEncryptedAuthenticity(string memory productId) view returns (bytes32)",
+        "function getProduct(string memory productId) view returns (string memory productName, string memory manufacturer, uint256 timestamp)",
+        "function productExists(string memory productId) view returns (bool)",
+        "function getTotalProducts() view returns (uint256)",
+        "function getProductIdByIndex(uint256 index) view returns (string memory)",
+        "function setManufacturerAuthorization(address manufacturer, bool authorized)",
+        "function transferOwnership(address newOwner)",
+        "function bulkVerifyProducts(string[] memory productIds) view returns (bool[] memory)",
+        "function pauseContract(bool paused)",
+        "event ProductAdded(string indexed productId, string productName, string manufacturer, address indexed addedBy, uint256 timestamp)",
+        "event ProductVerified(string indexed productId, address indexed verifier, uint256 timestamp)",
+        "event ManufacturerAuthorized(address indexed manufacturer, bool authorized)"
+    ]
+};
+
+const NETWORKS = {
+    11155111: {
+        chainName: 'Sepolia',
+        rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+        explorerUrl: 'https://sepolia.etherscan.io',
+        nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+        deployments: {
+            // Predates encrypted inputs, recalls and decryption requests; read-only in the app
+            // until the current contract is deployed. Its deployment block was never recorded, so
+            // startBlock is null and the app looks it up (findDeploymentBlock) instead of indexing
+            // from genesis.
+            sepolia: {
+                label: 'Sepolia',
+                address: '0xD2BF97b3D170fde0ef4c20249D31A88F9FA915AC',
+                abi: 'private-traceability-legacy',
+                startBlock: null,
+                fheBackend: 'relayer'
+            }
+        }
+    },
+    31337: {
+        chainName: 'Local Dev Chain',
+        rpcUrl: 'http://127.0.0.1:8545',
+        explorerUrl: null,
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        deployments: {
+            // First contract deployed by the default Hardhat/Anvil account
+            local: {
+                label: 'Local dev chain',
+                address: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+                abi: 'private-traceability',
+                startBlock: 0,
+                fheBackend: 'mock'
+            }
+        }
+    }
+};
+
+// Every selectable deployment, flattened with its chain's parameters
+function listDeployments() {
+    const deployments = [];
+
+    Object.entries(NETWORKS).forEach(([chainId, network]) => {
+        Object.entries(network.deployments).forEach(([id, deployment]) => {
+            deployments.push({
+                id,
+                chainId: Number(chainId),
+                chainName: network.chainName,
+                rpcUrl: network.rpcUrl,
+                explorerUrl: network.explorerUrl,
+                nativeCurrency: network.nativeCurrency,
+                ...deployment
+            });
+        });
+    });
+
+    return deployments;
+}
+
+function findDeploymentsForChain(chainId) {
+    return listDeployments().filter(deployment => deployment.chainId === chainId);
+}
+
+// Returns the deployment the URL asks for; `requested` is set when ?deployment= named an unknown entry
+// and `ignoredOverrides` lists the ?rpc=/?fhe= parameters a non-dev deployment refused
+function resolveDeployment(params) {
+    const deployments = listDeployments();
+    const requestedId = params.get('deployment');
+    const labelContract = params.get('contract');
+
+    let deployment = null;
+    if (requestedId) {
+        deployment = deployments.find(entry => entry.id === requestedId);
+    } else if (labelContract) {
+        const labelChain = parseInt(params.get('chain'));
+        deployment = deployments.find(entry =>
+            entry.address.toLowerCase() === labelContract.toLowerCase() &&
+            (!labelChain || entry.chainId === labelChain));
+    }
+
+    const resolved = { ...(deployment || deployments.find(entry => entry.id === DEFAULT_DEPLOYMENT_ID)) };
+    const overrides = ['rpc', 'fhe'].filter(name => params.get(name));
+    if (OVERRIDABLE_CHAIN_IDS.includes(resolved.chainId)) {
+        resolved.rpcUrl = params.get('rpc') || resolved.rpcUrl;
+        resolved.fheBackend = params.get('fhe') || resolved.fheBackend;
+    } else if (overrides.length > 0) {
+        resolved.ignoredOverrides = overrides;
+    }
+    if (requestedId && !deployment) {
+        resolved.requested = requestedId;
+    }
+    return resolved;
+}
+
+function createDeploymentContract(deployment, signerOrProvider) {
+    return new ethers.Contract(deployment.address, CONTRACT_ABIS[deployment.abi], signerOrProvider);
+}
+
+// Bisects eth_getCode for the block the contract at address was deployed in. Needs an RPC that
+// serves historical state; null when it does not or nothing is deployed there.
+async function findDeploymentBlock(provider, address) {
+    let low = 0;
+    let high = await provider.getBlockNumber();
+    try {
+        if (await provider.getCode(address, high) === '0x') return null;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (await provider.getCode(address, middle) === '0x') {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+    } catch (error) {
+        console.warn(`Historical eth_getCode failed for ${address}:`, error);
+        return null;
+    }
+    return low;
+}
+
+function toHexChainId(chainId) {
+    return ethers.utils.hexValue(chainId);
+}
+
+// Asks the wallet to switch to the deployment's chain, adding the chain first when the wallet does not know it
+async function switchWalletChain(ethereum, deployment) {
+    const chainId = toHexChainId(deployment.chainId);
+
+    try {
+        await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+    } catch (error) {
+        // 4902: unrecognized chain; some wallets nest the code in data.originalError
+        const code = error.code === 4902 ? 4902 : error.data && error.data.originalError && error.data.originalError.code;
+        if (code !== 4902) throw error;
+
+        await ethereum.request({
+            method: 'wallet_addEthereumChain',
+            params: [{
+                chainId,
+                chainName: deployment.chainName,
+                rpcUrls: [deployment.rpcUrl],
+                nativeCurrency: deployment.nativeCurrency,
+                ...(deployment.explorerUrl ? { blockExplorerUrls: [deployment.explorerUrl] } : {})
+            }]
+        });
+    }
+}
+
+// Node scripts load the registry through client.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_DEPLOYMENT_ID,
+        CONTRACT_ABIS,
+        NETWORKS,
+        listDeployments,
+        findDeploymentsForChain,
+        resolveDeployment,
+        createDeploymentContract,
+        findDeploymentBlock,
+        toHexChainId
+    };
+}
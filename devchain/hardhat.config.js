@@ -0,0 +1,49 @@
+// Local dev chain for the contracts in ../contracts
+//
+// `pnpm devchain` starts a Hardhat node with the FHEVM mock coprocessor on 127.0.0.1:8545 (the
+// "local" deployment in deployments.js) and `pnpm deploy:local` deploys PrivateTraceability to it.
+// The node also answers the mock relayer RPC methods (fhevm_relayer_*) that MockEncryptor and
+// MockDecryptor use in place of the Zama relayer.
+
+require('@fhevm/hardhat-plugin');
+require('@nomicfoundation/hardhat-ethers');
+
+const path = require('path');
+const { subtask } = require('hardhat/config');
+const { TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD } = require('hardhat/builtin-tasks/task-names');
+
+const SOLC_VERSION = '0.8.24';
+
+// Compile with the solc package from the lockfile instead of downloading a compiler build
+subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async (args, hre, runSuper) => {
+    if (args.solcVersion !== SOLC_VERSION) {
+        return runSuper();
+    }
+
+    const solc = require('solc');
+    return {
+        compilerPath: require.resolve('solc/soljson.js'),
+        isSolcJs: true,
+        version: SOLC_VERSION,
+        longVersion: solc.version()
+    };
+});
+
+module.exports = {
+    solidity: {
+        version: SOLC_VERSION,
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            // FHEVM needs at least Cancun
+            evmVersion: 'cancun'
+        }
+    },
+    // The project root is the repository so ../contracts compiles with the Solidity libraries
+    // installed there; build output stays in this directory
+    paths: {
+        root: '..',
+        sources: 'contracts',
+        artifacts: path.join(__dirname, 'artifacts'),
+        cache: path.join(__dirname, 'cache')
+    }
+};
@@ -0,0 +1,15 @@
+// Deploys PrivateTraceability to the running dev chain from its first account, which puts it at
+// the address of the "local" deployment in deployments.js on a fresh node
+const hre = require('hardhat');
+
+async function main() {
+    const factory = await hre.ethers.getContractFactory('PrivateTraceability');
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    console.log(`PrivateTraceability deployed to ${await contract.getAddress()}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
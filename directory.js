@@ -0,0 +1,207 @@
+// Local directory of location, handler and manufacturer names for the numeric IDs the forms take
+//
+// The name-to-ID mapping is exactly what the FHE inputs hide on chain, so it is only stored
+// encrypted: AES-GCM under a key derived from a passphrase with PBKDF2. The key and the
+// decrypted entries live in memory until the directory is locked or the page closes.
+// Trace records queued offline (outbox.js) are stored under the same key.
+
+const DIRECTORY_STORAGE_KEY = 'privacyTraceability.directory';
+const DIRECTORY_VERSION = 1;
+const DIRECTORY_KDF_ITERATIONS = 310000;
+const DIRECTORY_MIN_PASSPHRASE = 8;
+
+const DIRECTORY_KINDS = {
+    location: 'Location',
+    handler: 'Handler',
+    manufacturer: 'Manufacturer'
+};
+
+async function deriveDirectoryKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// A fresh IV for every write; reusing one under AES-GCM would leak the plaintext
+async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: ethers.utils.hexlify(iv), ciphertext: ethers.utils.hexlify(new Uint8Array(ciphertext)) };
+}
+
+// Rejects for a wrong key and for tampered data alike; AES-GCM cannot tell them apart
+async function decryptJson(key, { iv, ciphertext }) {
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: ethers.utils.arrayify(iv) },
+        key,
+        ethers.utils.arrayify(ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Returns a list of problems with an entry; empty when it can be saved
+function validateDirectoryEntry({ kind, id, name }) {
+    const errors = [];
+
+    if (!DIRECTORY_KINDS[kind]) {
+        errors.push(`Kind must be one of: ${Object.keys(DIRECTORY_KINDS).join(', ')}`);
+    }
+    if (!isUint32(id) || id === 0) {
+        errors.push('ID must be a positive whole number');
+    }
+    if (typeof name !== 'string' || name.trim() === '') {
+        errors.push('Name is required');
+    }
+
+    return errors;
+}
+
+class EncryptedDirectory {
+    constructor() {
+        this.key = null;
+        this.salt = null;
+        this.entries = [];
+    }
+
+    static exists() {
+        return localStorage.getItem(DIRECTORY_STORAGE_KEY) !== null;
+    }
+
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    async create(passphrase) {
+        if (EncryptedDirectory.exists()) {
+            throw new Error('A directory already exists on this device; unlock it instead');
+        }
+        if (passphrase.length < DIRECTORY_MIN_PASSPHRASE) {
+            throw new Error(`Use a passphrase of at least ${DIRECTORY_MIN_PASSPHRASE} characters`);
+        }
+
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.key = await deriveDirectoryKey(passphrase, this.salt, DIRECTORY_KDF_ITERATIONS);
+        this.entries = [];
+        await this.save();
+    }
+
+    async unlock(passphrase) {
+        const stored = JSON.parse(localStorage.getItem(DIRECTORY_STORAGE_KEY));
+        if (!stored || stored.version !== DIRECTORY_VERSION) {
+            throw new Error('No readable directory is stored on this device');
+        }
+
+        const salt = ethers.utils.arrayify(stored.salt);
+        const key = await deriveDirectoryKey(passphrase, salt, stored.iterations);
+        let entries;
+        try {
+            entries = await decryptJson(key, stored);
+        } catch (error) {
+            throw new Error('Wrong passphrase, or the stored directory was modified');
+        }
+
+        this.salt = salt;
+        this.key = key;
+        this.entries = entries;
+    }
+
+    lock() {
+        this.key = null;
+        this.salt = null;
+        this.entries = [];
+    }
+
+    async save() {
+        localStorage.setItem(DIRECTORY_STORAGE_KEY, JSON.stringify({
+            version: DIRECTORY_VERSION,
+            iterations: DIRECTORY_KDF_ITERATIONS,
+            salt: ethers.utils.hexlify(this.salt),
+            ...await encryptJson(this.key, this.entries)
+        }));
+    }
+
+    // Adds or renames an entry; returns the problems when it is invalid
+    async set(kind, id, name) {
+        const errors = validateDirectoryEntry({ kind, id, name });
+        if (errors.length > 0) return errors;
+
+        this.entries = this.entries.filter(entry => !(entry.kind === kind && entry.id === id));
+        this.entries.push({ kind, id, name: name.trim() });
+        this.entries.sort((a, b) => a.kind.localeCompare(b.kind) || a.id - b.id);
+        await this.save();
+        return [];
+    }
+
+    async remove(kind, id) {
+        this.entries = this.entries.filter(entry => !(entry.kind === kind && entry.id === id));
+        await this.save();
+    }
+
+    nameFor(kind, id) {
+        const entry = this.entries.find(item => item.kind === kind && item.id === Number(id));
+        return entry ? entry.name : null;
+    }
+
+    search(kind, query) {
+        const needle = query.trim().toLowerCase();
+        return this.entries.filter(entry =>
+            (!kind || entry.kind === kind) &&
+            (needle === '' || entry.name.toLowerCase().includes(needle) || entry.id.toString() === needle));
+    }
+
+    exportJson() {
+        return JSON.stringify(this.entries, null, 2);
+    }
+
+    exportCsv() {
+        return ['kind,id,name', ...this.entries.map(entry => [entry.kind, entry.id, entry.name].map(toCsvCell).join(','))].join('\n');
+    }
+
+    // Merges a CSV (kind,id,name) or JSON export; returns { saved, invalid: [{ row, errors }] }
+    async importEntries(text, fileName) {
+        let rows;
+        if (fileName.toLowerCase().endsWith('.json')) {
+            rows = JSON.parse(text);
+            if (!Array.isArray(rows)) {
+                throw new Error('Directory file must contain a list of entries');
+            }
+        } else {
+            const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+            const header = lines.length > 0 ? splitCsvLine(lines[0]) : [];
+            if (!['kind', 'id', 'name'].every(field => header.includes(field))) {
+                throw new Error('CSV header must contain kind, id and name');
+            }
+            rows = lines.slice(1).map(line => {
+                const cells = splitCsvLine(line);
+                return Object.fromEntries(header.map((field, index) => [field, cells[index]]));
+            });
+        }
+
+        const invalid = [];
+        let saved = 0;
+        rows.forEach((row, index) => {
+            const entry = { kind: row.kind, id: Number(row.id), name: typeof row.name === 'string' ? row.name.trim() : '' };
+            const errors = validateDirectoryEntry(entry);
+            if (errors.length > 0) {
+                invalid.push({ row: index + 1, errors });
+                return;
+            }
+            this.entries = this.entries.filter(item => !(item.kind === entry.kind && item.id === entry.id));
+            this.entries.push(entry);
+            saved++;
+        });
+
+        this.entries.sort((a, b) => a.kind.localeCompare(b.kind) || a.id - b.id);
+        await this.save();
+        return { saved, invalid };
+    }
+}
@@ -0,0 +1,62 @@
+// Safe rendering for every view that shows chain data
+//
+// The contracts accept any string for categories and event types, so nothing read from chain (or
+// typed by a user) may be parsed as markup. Views are written as html`...` tagged templates:
+// each interpolated value is escaped as text unless it is itself an html`` fragment or an array
+// of them, which is how components nest. render() replaces an element's children with the
+// parsed fragment. Plain strings are never turned into markup by this module.
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// null, undefined and false render nothing so conditionals can be written as ${flag && html`...`}
+function toMarkup(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += toMarkup(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+// The fragment is parsed in an inert <template> and moved in as nodes
+function render(element, fragment) {
+    const template = document.createElement('template');
+    template.innerHTML = toMarkup(fragment);
+    element.replaceChildren(template.content);
+}
+
+function clearElement(element) {
+    element.replaceChildren();
+}
+
+// Saves text as a file through a temporary object URL; every export in the app goes through here
+function downloadFile(fileName, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,189 @@
+// Client-side encryption of confidential inputs for the FHEVM contract entry points
+//
+// Every encryptor exposes the same method:
+//   encrypt(contractAddress, userAddress, fields) -> { handles: [bytes32...], inputProof: bytes }
+// where fields is a list of { type: 'u32' | 'u64' | 'bool', value }. Handles come back in the
+// same order as the fields and are bound to the contract and the sending wallet.
+
+const FHE_TYPES = {
+    bool: { code: 0, bits: 1 },
+    u32: { code: 4, bits: 32 },
+    u64: { code: 5, bits: 64 }
+};
+
+function validateEncryptedField(field) {
+    const type = FHE_TYPES[field.type];
+    if (!type) {
+        throw new Error(`Unsupported encrypted field type: ${field.type}`);
+    }
+
+    if (field.type === 'bool') {
+        if (typeof field.value !== 'boolean') {
+            throw new Error('Encrypted bool fields require a boolean value');
+        }
+        return;
+    }
+
+    const value = ethers.BigNumber.from(field.value);
+    if (value.isNegative() || value.gte(ethers.BigNumber.from(2).pow(type.bits))) {
+        throw new Error(`Value ${value.toString()} does not fit in ${field.type}`);
+    }
+}
+
+// One relayer SDK instance per page, shared by the encryption and decryption backends
+let relayerInstancePromise = null;
+
+function loadRelayerInstance(config = {}) {
+    if (!relayerInstancePromise) {
+        relayerInstancePromise = (async () => {
+            const sdk = window.relayerSDK;
+            if (!sdk) {
+                throw new Error('FHEVM relayer SDK is not loaded');
+            }
+
+            await sdk.initSDK();
+            return sdk.createInstance({
+                ...sdk.SepoliaConfig,
+                network: window.ethereum,
+                ...config
+            });
+        })().catch(error => {
+            relayerInstancePromise = null;
+            throw error;
+        });
+    }
+    return relayerInstancePromise;
+}
+
+// FHEVM contract addresses of a mock node, fetched once per provider for both mock backends
+const mockRelayerMetadata = new WeakMap();
+
+function loadMockRelayerMetadata(provider) {
+    if (!mockRelayerMetadata.has(provider)) {
+        const metadata = provider.send('fhevm_relayer_metadata', []).catch(error => {
+            mockRelayerMetadata.delete(provider);
+            throw error;
+        });
+        mockRelayerMetadata.set(provider, metadata);
+    }
+    return mockRelayerMetadata.get(provider);
+}
+
+// The mock node returns handles and signatures without the 0x prefix
+function withHexPrefix(value) {
+    return value.startsWith('0x') ? value : `0x${value}`;
+}
+
+// Encrypts through the Zama relayer SDK (window.relayerSDK) against the network's FHE public key
+class RelayerEncryptor {
+    constructor(config = {}) {
+        this.config = config;
+    }
+
+    async getInstance() {
+        return loadRelayerInstance(this.config);
+    }
+
+    async encrypt(contractAddress, userAddress, fields) {
+        fields.forEach(validateEncryptedField);
+
+        const instance = await this.getInstance();
+        const input = instance.createEncryptedInput(contractAddress, userAddress);
+
+        fields.forEach(field => {
+            switch (field.type) {
+                case 'bool':
+                    input.addBool(field.value);
+                    break;
+                case 'u32':
+                    input.add32(Number(field.value));
+                    break;
+                case 'u64':
+                    input.add64(BigInt(field.value));
+                    break;
+            }
+        });
+
+        const { handles, inputProof } = await input.encrypt();
+        return {
+            handles: handles.map(handle => ethers.utils.hexlify(handle)),
+            inputProof: ethers.utils.hexlify(inputProof)
+        };
+    }
+}
+
+// Encrypts against a local node running the FHEVM mock coprocessor (devchain/). The node
+// stands in for the relayer: it records the cleartexts and signs the input proof with its
+// coprocessor key, so FHE.fromExternal accepts the handles as it would on a real network.
+class MockEncryptor {
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    async encrypt(contractAddress, userAddress, fields) {
+        fields.forEach(validateEncryptedField);
+
+        const { chainId, ACLAddress } = await loadMockRelayerMetadata(this.provider);
+        const typeCodes = fields.map(field => FHE_TYPES[field.type].code);
+        const values = fields.map(field => ethers.BigNumber.from(field.type === 'bool' ? Number(field.value) : field.value));
+        const randoms = fields.map(() => ethers.utils.hexlify(ethers.utils.randomBytes(32)));
+
+        // The mock ciphertext is the hash of each type, value and nonce; the node derives the handles from it
+        const ciphertext = ethers.utils.keccak256(ethers.utils.hexConcat(fields.map((field, index) => ethers.utils.hexConcat([
+            ethers.utils.hexZeroPad(ethers.utils.hexlify(typeCodes[index]), 1),
+            ethers.utils.hexZeroPad(ethers.utils.hexlify(values[index]), Math.ceil(FHE_TYPES[field.type].bits / 8)),
+            randoms[index]
+        ]))));
+
+        const response = await this.provider.send('fhevm_relayer_v1_input_proof', [{
+            contractAddress: ethers.utils.getAddress(contractAddress),
+            userAddress: ethers.utils.getAddress(userAddress),
+            ciphertextWithInputVerification: ciphertext,
+            contractChainId: ethers.utils.hexValue(chainId),
+            extraData: '0x00',
+            mockData: {
+                clearTextValuesBigIntHex: values.map(value => ethers.utils.hexlify(value)),
+                metadatas: fields.map(() => ({ blockNumber: 0, index: 0, transactionHash: ethers.constants.HashZero })),
+                fheTypes: typeCodes,
+                fhevmTypes: typeCodes,
+                aclContractAddress: ACLAddress,
+                random32List: randoms
+            }
+        }]);
+
+        const handles = response.handles.map(withHexPrefix);
+        const signatures = response.signatures.map(withHexPrefix);
+
+        // Same layout the relayer returns: handle count, signer count, handles, signatures, extra data
+        const inputProof = ethers.utils.hexConcat([
+            ethers.utils.hexZeroPad(ethers.utils.hexlify(handles.length), 1),
+            ethers.utils.hexZeroPad(ethers.utils.hexlify(signatures.length), 1),
+            ...handles,
+            ...signatures,
+            '0x00'
+        ]);
+
+        return { handles, inputProof };
+    }
+}
+
+function createEncryptor(backend, options = {}) {
+    switch (backend) {
+        case 'mock':
+            return new MockEncryptor(options.provider);
+        case 'relayer':
+            return new RelayerEncryptor(options.relayerConfig);
+        default:
+            throw new Error(`Unknown encryption backend: ${backend}`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FHE_TYPES,
+        loadMockRelayerMetadata,
+        MockEncryptor,
+        RelayerEncryptor,
+        createEncryptor
+    };
+}
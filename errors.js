@@ -0,0 +1,294 @@
+// Error catalog and revert decoding
+//
+// Every reason string the two contracts can revert with maps to a stable code with a short title
+// and plain-language guidance. decodeContractError() turns whatever ethers or the wallet throws
+// (nested RPC errors, raw revert data, custom errors, panics, rejections) into a TraceabilityError.
+
+const ERROR_CATALOG = {
+    NOT_OWNER: {
+        reasons: ['Not authorized owner', 'Only owner can call this function'],
+        title: 'Only the contract owner can do this',
+        guidance: 'Switch to the owner wallet or ask the owner to do it for you.'
+    },
+    NOT_MANUFACTURER: {
+        reasons: ['Not authorized manufacturer', 'Not authorized to add products'],
+        title: 'Your wallet does not have the manufacturer role',
+        guidance: 'Ask the contract owner to grant it in the Owner Administration panel.'
+    },
+    NOT_TRACKER: {
+        reasons: ['Not authorized tracker'],
+        title: 'Your wallet does not have the tracker role',
+        guidance: 'Ask the contract owner to grant it in the Owner Administration panel.'
+    },
+    NOT_DECRYPT_AUTHORIZED: {
+        reasons: ['Not authorized to decrypt'],
+        title: 'You may not request decryption of this product',
+        guidance: 'Only a tracker that recorded a trace on it or the contract owner can; the manufacturer already has access.'
+    },
+    DECRYPTION_ACCESS_HELD: {
+        reasons: ['Already has decryption access'],
+        title: 'Your wallet can already decrypt this product',
+        guidance: 'No request is needed; use Reveal Private Fields on the product.'
+    },
+    NOT_DECRYPTION_GATEWAY: {
+        reasons: ['Not the decryption gateway'],
+        title: 'Only the decryption gateway can answer requests',
+        guidance: 'Switch to the gateway account, or ask the owner which account runs the gateway.'
+    },
+    UNKNOWN_DECRYPTION_REQUEST: {
+        reasons: ['Unknown decryption request'],
+        title: 'No decryption request with this ID exists',
+        guidance: 'Check the request ID; it may belong to another deployment.'
+    },
+    DECRYPTION_FULFILLED: {
+        reasons: ['Decryption already fulfilled'],
+        title: 'This decryption request was already answered',
+        guidance: 'The requester can reveal the product\'s private fields now.'
+    },
+    DECRYPTION_EXPIRED: {
+        reasons: ['Decryption request expired'],
+        title: 'The decryption request timed out',
+        guidance: 'The gateway did not answer in time; submit a new request.'
+    },
+    ZERO_GATEWAY: {
+        reasons: ['Gateway cannot be zero address'],
+        title: 'The zero address cannot be the gateway',
+        guidance: 'Enter the address of the account that runs the gateway.'
+    },
+    PRODUCT_NOT_FOUND: {
+        reasons: ['Product does not exist'],
+        title: 'No product with this ID exists',
+        guidance: 'Check the ID; it may belong to another deployment.'
+    },
+    PRODUCT_EXISTS: {
+        reasons: ['Product already exists'],
+        title: 'A product with this ID already exists',
+        guidance: 'Product IDs are unique; choose a different one.'
+    },
+    INVALID_BATCH: {
+        reasons: ['Invalid batch ID'],
+        title: 'No batch with this ID exists',
+        guidance: 'Pick one of your open batches or create a new batch first.'
+    },
+    BATCH_SEALED: {
+        reasons: ['Batch is sealed', 'Batch already sealed'],
+        title: 'This batch is sealed',
+        guidance: 'Sealed batches are final; create a new batch for further products.'
+    },
+    NOT_BATCH_OWNER: {
+        reasons: ['Not batch owner'],
+        title: 'This batch belongs to another wallet',
+        guidance: 'Only the wallet that created a batch can add products to it or seal it.'
+    },
+    NOT_RECALL_AUTHORIZED: {
+        reasons: ['Not authorized to recall'],
+        title: 'You may not recall this product',
+        guidance: 'Only the product\'s manufacturer or the contract owner can recall it.'
+    },
+    RECALL_REASON_REQUIRED: {
+        reasons: ['Recall reason required'],
+        title: 'A recall needs a reason',
+        guidance: 'Describe the defect or quality failure; the reason is public.'
+    },
+    INVALID_RECORD_INDEX: {
+        reasons: ['Invalid record index', 'Index out of bounds'],
+        title: 'That record does not exist',
+        guidance: 'Refresh the product; its record count may have changed.'
+    },
+    MISSING_FIELD: {
+        reasons: ['Product ID cannot be empty', 'Product name cannot be empty', 'Manufacturer cannot be empty'],
+        title: 'A required field is empty',
+        guidance: 'Fill in the product ID, name and manufacturer.'
+    },
+    ZERO_ADDRESS: {
+        reasons: ['New owner cannot be zero address'],
+        title: 'The zero address cannot own the contract',
+        guidance: 'Enter the address of the new owner\'s wallet.'
+    },
+    CONTRACT_PAUSED: {
+        reasons: ['Contract is paused'],
+        title: 'The contract is paused',
+        guidance: 'New products are rejected until the owner resumes the contract.'
+    },
+    INVALID_INPUT: {
+        reasons: [],
+        title: 'Some of the inputs are not valid',
+        guidance: 'Correct the listed fields and try again.'
+    },
+    USER_REJECTED: {
+        reasons: [],
+        title: 'Request rejected',
+        guidance: 'Nothing was sent.'
+    },
+    INSUFFICIENT_FUNDS: {
+        reasons: [],
+        title: 'Not enough funds to pay for gas',
+        guidance: 'Top up the wallet with the network\'s native currency and try again.'
+    },
+    NONCE_CONFLICT: {
+        reasons: [],
+        title: 'Another transaction already used this nonce',
+        guidance: 'Check the pending queue and your wallet activity, then try again.'
+    },
+    NETWORK_ERROR: {
+        reasons: [],
+        title: 'The network could not be reached',
+        guidance: 'Check your connection or RPC endpoint and try again.'
+    },
+    CUSTOM_ERROR: {
+        reasons: [],
+        title: 'The contract rejected the call',
+        guidance: 'This usually means an encrypted input or signature was not accepted; try again.'
+    },
+    PANIC: {
+        reasons: [],
+        title: 'The contract hit an internal error',
+        guidance: 'This is a contract bug rather than a problem with your input.'
+    },
+    REVERTED: {
+        reasons: [],
+        title: 'The contract rejected the transaction',
+        guidance: null
+    },
+    UNKNOWN: {
+        reasons: [],
+        title: 'An unknown error occurred',
+        guidance: null
+    }
+};
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+class TraceabilityError extends Error {
+    constructor(code, { detail = null, cause = null } = {}) {
+        const entry = ERROR_CATALOG[code];
+        super(detail ? `${entry.title} (${detail})` : entry.title);
+        this.name = 'TraceabilityError';
+        this.code = code;
+        this.guidance = entry.guidance;
+        this.detail = detail;
+        this.cause = cause;
+    }
+}
+
+function findErrorCode(reason) {
+    return Object.keys(ERROR_CATALOG).find(code => ERROR_CATALOG[code].reasons.includes(reason)) || null;
+}
+
+// Builds the catalog error for a revert reason string
+function createContractError(reason, cause = null) {
+    const code = findErrorCode(reason);
+    return code ? new TraceabilityError(code, { cause }) : new TraceabilityError('REVERTED', { detail: reason, cause });
+}
+
+// ethers v5 nests the JSON-RPC error one to three levels deep depending on the provider and call
+function findRevertData(error) {
+    let current = error;
+    for (let depth = 0; current && depth < 5; depth++) {
+        if (typeof current.data === 'string' && current.data.startsWith('0x')) return current.data;
+        if (current.data && typeof current.data.data === 'string') return current.data.data;
+        if (typeof current.body === 'string') {
+            try {
+                const body = JSON.parse(current.body);
+                if (body.error && typeof body.error.data === 'string') return body.error.data;
+            } catch (parseError) {
+                // Not a JSON-RPC body
+            }
+        }
+        current = current.error;
+    }
+    return null;
+}
+
+// Returns { reason }, { panic } or { customError } for revert data, or null when there is none
+function decodeRevertData(data, contractInterface) {
+    if (!data || data.length < 10) return null;
+
+    const selector = data.slice(0, 10);
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            return { reason: ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0] };
+        }
+        if (selector === PANIC_SELECTOR) {
+            return { panic: ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0].toHexString() };
+        }
+        if (contractInterface) {
+            return { customError: contractInterface.parseError(data).name };
+        }
+    } catch (error) {
+        // Unknown selector or malformed payload
+    }
+    return { customError: selector };
+}
+
+// Wallets that hide the revert data still put "execution reverted: <reason>" in the message
+function findReasonInMessage(error) {
+    const messages = [error.reason, error.message, error.data && error.data.message, error.error && error.error.message]
+        .filter(message => typeof message === 'string');
+    for (const code of Object.keys(ERROR_CATALOG)) {
+        const reason = ERROR_CATALOG[code].reasons.find(candidate => messages.some(message => message.includes(candidate)));
+        if (reason) return reason;
+    }
+    return null;
+}
+
+function isUserRejection(error) {
+    return error.code === 'ACTION_REJECTED' || error.code === 4001 || (error.error && error.error.code === 4001);
+}
+
+function decodeContractError(error, contractInterface = null) {
+    if (error instanceof TraceabilityError) return error;
+
+    if (isUserRejection(error)) {
+        return new TraceabilityError('USER_REJECTED', { cause: error });
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+        return new TraceabilityError('INSUFFICIENT_FUNDS', { cause: error });
+    }
+    if (error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED') {
+        return new TraceabilityError('NONCE_CONFLICT', { cause: error });
+    }
+
+    const revert = decodeRevertData(findRevertData(error), contractInterface);
+    if (revert && revert.reason !== undefined) {
+        return createContractError(revert.reason, error);
+    }
+    if (revert && revert.panic) {
+        return new TraceabilityError('PANIC', { detail: `panic ${revert.panic}`, cause: error });
+    }
+
+    const reason = findReasonInMessage(error);
+    if (reason) {
+        return createContractError(reason, error);
+    }
+    if (revert && revert.customError) {
+        return new TraceabilityError('CUSTOM_ERROR', { detail: revert.customError, cause: error });
+    }
+    if (error.code === 'NETWORK_ERROR' || error.code === 'SERVER_ERROR' || error.code === 'TIMEOUT') {
+        return new TraceabilityError('NETWORK_ERROR', { cause: error });
+    }
+    if (error.code === 'CALL_EXCEPTION' || error.code === 'UNPREDICTABLE_GAS_LIMIT') {
+        return new TraceabilityError('REVERTED', { cause: error });
+    }
+
+    // Anything else (camera, popup blocker, parse errors) keeps its own message
+    const unknown = new TraceabilityError('UNKNOWN', { cause: error });
+    const message = (error.data && error.data.message) || error.message;
+    if (message) {
+        unknown.message = message;
+    }
+    return unknown;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ERROR_CATALOG,
+        TraceabilityError,
+        findErrorCode,
+        createContractError,
+        decodeRevertData,
+        isUserRejection,
+        decodeContractError
+    };
+}
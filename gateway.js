@@ -0,0 +1,175 @@
+// Decryption requests: follows each requestProductDecryption until the gateway's
+// fulfillDecryptionRequest callback grants the requester access, or the request times out.
+//
+// The callback carries the request ID in its DecryptionFulfilled event and publishes no values;
+// the requester user-decrypts the product's fields once the grant is on-chain. Deadlines are
+// compared with block time because that is what the contract checks.
+
+const DECRYPTION_POLL_INTERVAL_MS = 15 * 1000;
+
+class DecryptionRequestTracker {
+    // contract is a read-only contract; onUpdate(request) runs on every status change
+    constructor(contract, onUpdate) {
+        this.contract = contract;
+        this.onUpdate = onUpdate;
+        this.requests = new Map();
+        this.timeout = null;
+        this.pollTimer = null;
+        this.handleFulfilled = this.handleFulfilled.bind(this);
+    }
+
+    start() {
+        this.contract.on('DecryptionFulfilled', this.handleFulfilled);
+        this.pollTimer = setInterval(() => this.checkPending(), DECRYPTION_POLL_INTERVAL_MS);
+    }
+
+    stop() {
+        this.contract.off('DecryptionFulfilled', this.handleFulfilled);
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    list() {
+        return Array.from(this.requests.values()).sort((a, b) => b.requestedAt - a.requestedAt);
+    }
+
+    // Picks up the requester's requests that are still open, e.g. after a reload
+    async restore(requester, fromBlock = 0) {
+        const logs = await this.contract.queryFilter(this.contract.filters.DecryptionRequested(null, null, requester), fromBlock);
+        for (const log of logs) {
+            const request = await this.load(log.args.requestId, log.transactionHash);
+            if (request.status === 'pending') {
+                this.requests.set(request.requestId, request);
+                this.notify(request);
+            }
+        }
+    }
+
+    // Starts following the request from a mined requestProductDecryption receipt
+    async track(receipt) {
+        const event = receipt.events?.find(e => e.event === 'DecryptionRequested');
+        if (!event) {
+            throw new Error('Decryption request was mined but no request ID was emitted');
+        }
+
+        const request = await this.load(event.args.requestId, receipt.transactionHash);
+        this.requests.set(request.requestId, request);
+        this.notify(request);
+        return request;
+    }
+
+    async load(requestId, requestTxHash) {
+        const [stored, timeout, block] = await Promise.all([
+            this.contract.decryptionRequests(requestId),
+            this.getTimeout(),
+            this.contract.provider.getBlock('latest')
+        ]);
+
+        const request = {
+            requestId: requestId.toString(),
+            productId: stored.productId.toString(),
+            requester: stored.requester,
+            requestTxHash,
+            requestedAt: stored.requestedAt.toNumber(),
+            deadline: stored.requestedAt.toNumber() + timeout,
+            status: 'pending',
+            callbackTxHash: null
+        };
+        if (stored.fulfilled) {
+            request.status = 'fulfilled';
+            request.callbackTxHash = await this.findCallback(request.requestId);
+        } else if (block.timestamp > request.deadline) {
+            request.status = 'timeout';
+        }
+        return request;
+    }
+
+    async getTimeout() {
+        if (this.timeout === null) {
+            this.timeout = (await this.contract.DECRYPTION_REQUEST_TIMEOUT()).toNumber();
+        }
+        return this.timeout;
+    }
+
+    async findCallback(requestId) {
+        const events = await this.contract.queryFilter(this.contract.filters.DecryptionFulfilled(requestId));
+        return events.length > 0 ? events[events.length - 1].transactionHash : null;
+    }
+
+    handleFulfilled(requestId, productId, requester, event) {
+        const request = this.requests.get(requestId.toString());
+        if (!request || request.status !== 'pending') return;
+
+        this.markFulfilled(request, event.transactionHash);
+    }
+
+    // The contract refuses callbacks after the deadline, so a timed-out request is final
+    async checkPending() {
+        const pending = this.list().filter(request => request.status === 'pending');
+        if (pending.length === 0) return;
+
+        try {
+            const block = await this.contract.provider.getBlock('latest');
+            for (const request of pending) {
+                const stored = await this.contract.decryptionRequests(request.requestId);
+                if (stored.fulfilled) {
+                    this.markFulfilled(request, await this.findCallback(request.requestId));
+                } else if (block.timestamp > request.deadline) {
+                    request.status = 'timeout';
+                    this.notify(request);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to refresh decryption requests:', error);
+        }
+    }
+
+    markFulfilled(request, callbackTxHash) {
+        request.status = 'fulfilled';
+        request.callbackTxHash = callbackTxHash;
+        this.notify(request);
+    }
+
+    notify(request) {
+        if (this.onUpdate) {
+            this.onUpdate(request);
+        }
+    }
+}
+
+// Local stand-in for the gateway on a dev chain: answers every DecryptionRequested event with
+// fulfillDecryptionRequest from the gateway account. The contract still checks the requester.
+class LocalDecryptionGateway {
+    constructor(contract, gatewaySigner) {
+        this.contract = contract.connect(gatewaySigner);
+        this.handleRequested = this.handleRequested.bind(this);
+    }
+
+    start() {
+        this.contract.on('DecryptionRequested', this.handleRequested);
+    }
+
+    stop() {
+        this.contract.off('DecryptionRequested', this.handleRequested);
+    }
+
+    async handleRequested(requestId) {
+        try {
+            await this.fulfil(requestId);
+        } catch (error) {
+            console.error(`Local gateway failed to fulfil request ${requestId.toString()}:`, error);
+        }
+    }
+
+    async fulfil(requestId) {
+        const tx = await this.contract.fulfillDecryptionRequest(requestId);
+        return tx.wait();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DecryptionRequestTracker,
+        LocalDecryptionGateway
+    };
+}
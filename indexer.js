@@ -0,0 +1,288 @@
+// Event indexer: backfills contract logs in block ranges and keeps them in IndexedDB
+//
+// One database per chain and contract address. The 'events' store holds one row per log
+// (keyed by tx hash and log index, so re-scanning a range is idempotent) and the 'meta'
+// store keeps the last synced block.
+
+const INDEXED_EVENTS = [
+    'ProductRegistered',
+    'BatchCreated',
+    'TraceRecordAdded',
+    'QualityCheckPerformed',
+    'BatchSealed',
+    'ProductRecalled',
+    'ManufacturerAuthorized',
+    'TrackerAuthorized'
+];
+// Bump whenever INDEXED_EVENTS or the row shape changes; upgrading drops the cache and re-backfills
+const INDEX_DB_VERSION = 3;
+const INDEX_CHUNK_SIZE = 5000;
+const INDEX_MIN_CHUNK_SIZE = 100;
+// Blocks re-scanned on every sync so shallow reorgs are picked up
+const INDEX_REORG_DEPTH = 12;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class IndexedDbEventStore {
+    constructor(name) {
+        this.name = name;
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(this.name, INDEX_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+
+            const events = db.createObjectStore('events', { keyPath: 'id' });
+            events.createIndex('productId', 'productId');
+            events.createIndex('batchId', 'batchId');
+            events.createIndex('event', 'event');
+            db.createObjectStore('meta', { keyPath: 'key' });
+        };
+        this.db = await requestToPromise(request);
+        return this.db;
+    }
+
+    async putEvents(rows, cursor) {
+        const db = await this.open();
+        const tx = db.transaction(['events', 'meta'], 'readwrite');
+        const events = tx.objectStore('events');
+        rows.forEach(row => events.put(row));
+        tx.objectStore('meta').put({ key: 'cursor', value: cursor });
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async deleteFromBlock(blockNumber) {
+        const db = await this.open();
+        const tx = db.transaction('events', 'readwrite');
+        const store = tx.objectStore('events');
+        const rows = await requestToPromise(store.getAll());
+        rows.filter(row => row.blockNumber >= blockNumber).forEach(row => store.delete(row.id));
+
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async getCursor() {
+        const db = await this.open();
+        const row = await requestToPromise(db.transaction('meta').objectStore('meta').get('cursor'));
+        return row ? row.value : null;
+    }
+
+    async getByIndex(indexName, value) {
+        const db = await this.open();
+        const index = db.transaction('events').objectStore('events').index(indexName);
+        return requestToPromise(index.getAll(value));
+    }
+}
+
+// Same interface kept in memory, for environments without IndexedDB
+class MemoryEventStore {
+    constructor() {
+        this.rows = new Map();
+        this.cursor = null;
+    }
+
+    async putEvents(rows, cursor) {
+        rows.forEach(row => this.rows.set(row.id, row));
+        this.cursor = cursor;
+    }
+
+    async deleteFromBlock(blockNumber) {
+        for (const [id, row] of this.rows) {
+            if (row.blockNumber >= blockNumber) this.rows.delete(id);
+        }
+    }
+
+    async getCursor() {
+        return this.cursor;
+    }
+
+    async getByIndex(indexName, value) {
+        return Array.from(this.rows.values()).filter(row => row[indexName] === value);
+    }
+}
+
+function compareLogPosition(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+class EventIndexer {
+    constructor(contract, chainId, options = {}) {
+        this.contract = contract;
+        this.provider = contract.provider;
+        this.startBlock = options.startBlock || 0;
+        this.chunkSize = options.chunkSize || INDEX_CHUNK_SIZE;
+        this.store = options.store || (typeof indexedDB !== 'undefined'
+            ? new IndexedDbEventStore(`traceability-index-${chainId}-${contract.address.toLowerCase()}`)
+            : new MemoryEventStore());
+        this.blockTimestamps = new Map();
+        this.syncPromise = null;
+    }
+
+    // Concurrent callers share one running sync
+    sync(onProgress) {
+        if (!this.syncPromise) {
+            this.syncPromise = this.runSync(onProgress).finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    }
+
+    async runSync(onProgress) {
+        const latest = await this.provider.getBlockNumber();
+        const cursor = await this.store.getCursor();
+
+        let fromBlock = this.startBlock;
+        if (cursor !== null) {
+            fromBlock = Math.max(this.startBlock, cursor - INDEX_REORG_DEPTH + 1);
+            await this.store.deleteFromBlock(fromBlock);
+        }
+
+        // Only the events this contract's ABI declares; the string-ID contract has just the role event
+        const declared = Object.values(this.contract.interface.events).map(event => event.name);
+        const topics = [INDEXED_EVENTS
+            .filter(name => declared.includes(name))
+            .map(name => this.contract.interface.getEventTopic(name))];
+        let chunkSize = this.chunkSize;
+
+        while (fromBlock <= latest) {
+            const toBlock = Math.min(fromBlock + chunkSize - 1, latest);
+
+            let logs;
+            try {
+                logs = await this.provider.getLogs({ address: this.contract.address, topics, fromBlock, toBlock });
+            } catch (error) {
+                // Most public RPCs cap the range or result size of eth_getLogs
+                if (chunkSize > INDEX_MIN_CHUNK_SIZE) {
+                    chunkSize = Math.max(INDEX_MIN_CHUNK_SIZE, Math.floor(chunkSize / 2));
+                    continue;
+                }
+                throw error;
+            }
+
+            const rows = await Promise.all(logs.map(log => this.toRow(log)));
+            await this.store.putEvents(rows, toBlock);
+
+            if (onProgress) {
+                onProgress({ fromBlock, toBlock, latest, found: rows.length });
+            }
+            fromBlock = toBlock + 1;
+        }
+
+        return latest;
+    }
+
+    async toRow(log) {
+        const parsed = this.contract.interface.parseLog(log);
+        const args = parsed.args;
+        const row = {
+            id: `${log.transactionHash}:${log.logIndex}`,
+            event: parsed.name,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex,
+            timestamp: await this.getBlockTimestamp(log.blockNumber),
+            productId: null,
+            batchId: null
+        };
+
+        switch (parsed.name) {
+            case 'ProductRegistered':
+                row.productId = args.productId.toString();
+                row.batchId = args.batchId.toString();
+                row.manufacturer = args.manufacturer;
+                break;
+            case 'BatchCreated':
+                row.batchId = args.batchId.toString();
+                row.owner = args.owner;
+                break;
+            case 'TraceRecordAdded':
+                row.productId = args.productId.toString();
+                row.recorder = args.recorder;
+                row.eventType = args.eventType;
+                break;
+            case 'QualityCheckPerformed':
+                row.productId = args.productId.toString();
+                row.checker = args.checker;
+                break;
+            case 'BatchSealed':
+                row.batchId = args.batchId.toString();
+                break;
+            case 'ProductRecalled':
+                row.productId = args.productId.toString();
+                row.recalledBy = args.recalledBy;
+                row.reason = args.reason;
+                break;
+            case 'ManufacturerAuthorized':
+                row.account = args.manufacturer;
+                row.authorized = args.authorized;
+                break;
+            case 'TrackerAuthorized':
+                row.account = args.tracker;
+                row.authorized = args.authorized;
+                break;
+        }
+        return row;
+    }
+
+    async getBlockTimestamp(blockNumber) {
+        if (!this.blockTimestamps.has(blockNumber)) {
+            const timestamp = this.provider.getBlock(blockNumber)
+                .then(block => block.timestamp)
+                .catch(error => {
+                    this.blockTimestamps.delete(blockNumber);
+                    throw error;
+                });
+            this.blockTimestamps.set(blockNumber, timestamp);
+        }
+        return this.blockTimestamps.get(blockNumber);
+    }
+
+    async getLastSyncedBlock() {
+        return this.store.getCursor();
+    }
+
+    async getProductEvents(productId) {
+        const rows = await this.store.getByIndex('productId', productId.toString());
+        return rows.sort(compareLogPosition);
+    }
+
+    async getTraceHistory(productId) {
+        const rows = await this.getProductEvents(productId);
+        return rows.filter(row => row.event === 'TraceRecordAdded');
+    }
+
+    async getProductRegistration(productId) {
+        const rows = await this.getProductEvents(productId);
+        return rows.find(row => row.event === 'ProductRegistered') || null;
+    }
+
+    async getEventsByName(name) {
+        const rows = await this.store.getByIndex('event', name);
+        return rows.sort(compareLogPosition);
+    }
+
+    async getBatchEvents(batchId) {
+        const rows = await this.store.getByIndex('batchId', batchId.toString());
+        return rows.sort(compareLogPosition);
+    }
+}
@@ -0,0 +1,175 @@
+// QR product labels and scanning, entirely in the browser
+//
+// A label encodes a verification URL for this app: ?verify=<productId>&chain=<chainId>&contract=<address>.
+// Phones open it directly; the in-app scanner reads the same URL from the camera or an image.
+// Encoding uses qrcode-generator (window.qrcode), decoding uses the native BarcodeDetector
+// when the browser has one and jsQR (window.jsQR) otherwise.
+
+const LABEL_QR_CELL_SIZE = 4;
+const LABEL_QR_MARGIN = 2;
+
+function buildVerificationUrl({ productId, chainId, contractAddress }) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set('verify', productId.toString());
+    url.searchParams.set('chain', chainId.toString());
+    url.searchParams.set('contract', contractAddress);
+    return url.toString();
+}
+
+// Returns { productId, chainId, contractAddress } or null when the text is not one of our labels
+function parseVerificationPayload(text) {
+    let url;
+    try {
+        url = new URL(text.trim(), window.location.origin);
+    } catch (error) {
+        return null;
+    }
+
+    const productId = parseInt(url.searchParams.get('verify'));
+    if (!productId || productId < 1) return null;
+
+    const chainId = parseInt(url.searchParams.get('chain'));
+    const contractAddress = url.searchParams.get('contract');
+    return {
+        productId,
+        chainId: chainId || null,
+        contractAddress: contractAddress && ethers.utils.isAddress(contractAddress)
+            ? ethers.utils.getAddress(contractAddress)
+            : null
+    };
+}
+
+function createQrSvg(text) {
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    return qr.createSvgTag({ cellSize: LABEL_QR_CELL_SIZE, margin: LABEL_QR_MARGIN, scalable: true });
+}
+
+// Opens a print-ready sheet; labels is a list of { productId, caption }
+function printLabelSheet(title, labels, { chainId, contractAddress }) {
+    const sheet = window.open('', '_blank');
+    if (!sheet) {
+        throw new Error('The label sheet was blocked by a popup blocker');
+    }
+
+    const doc = sheet.document;
+    doc.title = title;
+
+    const style = doc.createElement('style');
+    style.textContent = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 10mm; }
+        .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6mm; }
+        .label { border: 1px dashed #999; padding: 4mm; text-align: center; break-inside: avoid; }
+        .label svg { width: 40mm; height: 40mm; }
+        .label p { margin: 2mm 0 0; font-size: 9pt; }
+        .label small { font-size: 7pt; color: #555; word-break: break-all; }
+        @media print { .no-print { display: none; } }
+    `;
+    doc.head.appendChild(style);
+
+    const button = doc.createElement('button');
+    button.className = 'no-print';
+    button.textContent = 'Print';
+    button.addEventListener('click', () => sheet.print());
+    doc.body.appendChild(button);
+
+    const grid = doc.createElement('div');
+    grid.className = 'sheet';
+    labels.forEach(({ productId, caption }) => {
+        const label = doc.createElement('div');
+        label.className = 'label';
+        // The SVG markup is generated locally from our own URL, never from chain data
+        label.innerHTML = createQrSvg(buildVerificationUrl({ productId, chainId, contractAddress }));
+
+        const name = doc.createElement('p');
+        name.textContent = `Product #${productId}${caption ? ` · ${caption}` : ''}`;
+        label.appendChild(name);
+
+        const meta = doc.createElement('small');
+        meta.textContent = `Chain ${chainId} · ${contractAddress}`;
+        label.appendChild(meta);
+
+        grid.appendChild(label);
+    });
+    doc.body.appendChild(grid);
+}
+
+async function decodeQrFromSource(source, width, height) {
+    if ('BarcodeDetector' in window) {
+        try {
+            const detector = new BarcodeDetector({ formats: ['qr_code'] });
+            const codes = await detector.detect(source);
+            if (codes.length > 0) return codes[0].rawValue;
+            return null;
+        } catch (error) {
+            // Fall through to jsQR when the platform detector is unavailable
+        }
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0, width, height);
+    const image = context.getImageData(0, 0, width, height);
+    const code = jsQR(image.data, width, height);
+    return code ? code.data : null;
+}
+
+async function decodeQrFromFile(file) {
+    const bitmap = await createImageBitmap(file);
+    try {
+        return await decodeQrFromSource(bitmap, bitmap.width, bitmap.height);
+    } finally {
+        bitmap.close();
+    }
+}
+
+// Streams the rear camera into a <video> element and reports the first QR code it reads
+class QrCameraScanner {
+    constructor(video, onResult) {
+        this.video = video;
+        this.onResult = onResult;
+        this.stream = null;
+        this.frameRequest = null;
+        this.scanning = false;
+    }
+
+    async start() {
+        this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        this.video.srcObject = this.stream;
+        await this.video.play();
+        this.scanning = true;
+        this.scanFrame();
+    }
+
+    stop() {
+        this.scanning = false;
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.video.srcObject = null;
+    }
+
+    scanFrame() {
+        this.frameRequest = requestAnimationFrame(async () => {
+            if (!this.scanning) return;
+
+            if (this.video.readyState === this.video.HAVE_ENOUGH_DATA) {
+                const text = await decodeQrFromSource(this.video, this.video.videoWidth, this.video.videoHeight);
+                if (text && this.scanning) {
+                    this.stop();
+                    this.onResult(text);
+                    return;
+                }
+            }
+            this.scanFrame();
+        });
+    }
+}
@@ -0,0 +1,185 @@
+// Product lifecycle stages and the rule engine the trace timeline is checked against
+//
+// A rule set is a list of { rule, severity, ...options } entries; `rule` names a checker in
+// LIFECYCLE_RULES. LIFECYCLE_RULE_SETS holds one set per product category plus a default for
+// categories without their own. Records are { index, eventType, recorder, timestamp } in chain
+// order; timestamp is null when the record was read without the event index.
+
+const LIFECYCLE_STAGES = [
+    'Manufacturing',
+    'Quality Control',
+    'Packaging',
+    'Shipping',
+    'Warehouse Storage',
+    'Distribution',
+    'Retail',
+    'Customer Delivery'
+];
+
+const HOUR_SECONDS = 60 * 60;
+
+function stageIndex(eventType) {
+    return LIFECYCLE_STAGES.indexOf(eventType);
+}
+
+// Each checker returns anomalies as { index, message }; index is the offending record
+const LIFECYCLE_RULES = {
+    knownStage(records) {
+        return records
+            .filter(record => stageIndex(record.eventType) === -1)
+            .map(record => ({ index: record.index, message: `"${record.eventType}" is not a lifecycle stage` }));
+    },
+
+    // A hop may not go back to a stage before the furthest one already reached
+    forwardOnly(records) {
+        const anomalies = [];
+        let furthest = null;
+        records.forEach(record => {
+            const stage = stageIndex(record.eventType);
+            if (stage === -1) return;
+            if (furthest !== null && stage < stageIndex(furthest.eventType)) {
+                anomalies.push({ index: record.index, message: `${record.eventType} recorded after ${furthest.eventType}` });
+            }
+            if (furthest === null || stage > stageIndex(furthest.eventType)) {
+                furthest = record;
+            }
+        });
+        return anomalies;
+    },
+
+    terminalStage(records, { stage }) {
+        const end = records.findIndex(record => record.eventType === stage);
+        if (end === -1) return [];
+
+        return records.slice(end + 1).map(record => ({
+            index: record.index,
+            message: `${record.eventType} recorded after ${stage}`
+        }));
+    },
+
+    // Skipping ahead more than maxJump stages in one hop
+    maxStageJump(records, { maxJump }) {
+        const anomalies = [];
+        let previous = null;
+        records.forEach(record => {
+            const stage = stageIndex(record.eventType);
+            if (stage === -1) return;
+            if (previous !== null && stage - stageIndex(previous.eventType) > maxJump) {
+                anomalies.push({
+                    index: record.index,
+                    message: `Jumped ${stage - stageIndex(previous.eventType)} stages from ${previous.eventType} to ${record.eventType} (at most ${maxJump} allowed)`
+                });
+            }
+            previous = record;
+        });
+        return anomalies;
+    },
+
+    // `stage` is only valid once every stage in `after` has been recorded
+    requiresEarlier(records, { stage, after }) {
+        const anomalies = [];
+        records.forEach((record, position) => {
+            if (record.eventType !== stage) return;
+            const seen = records.slice(0, position).map(earlier => earlier.eventType);
+            const missing = after.filter(required => !seen.includes(required));
+            if (missing.length > 0) {
+                anomalies.push({ index: record.index, message: `${stage} recorded before ${missing.join(', ')}` });
+            }
+        });
+        return anomalies;
+    },
+
+    // One address recording both sides of a pair, e.g. manufacturing its own quality check
+    separationOfDuties(records, { pairs }) {
+        const anomalies = [];
+        pairs.forEach(([first, second]) => {
+            records
+                .filter(record => record.eventType === second)
+                .forEach(record => {
+                    const conflict = records.find(other =>
+                        other.eventType === first && other.recorder.toLowerCase() === record.recorder.toLowerCase());
+                    if (conflict) {
+                        anomalies.push({
+                            index: record.index,
+                            message: `${record.recorder} recorded both ${first} (record ${conflict.index + 1}) and ${second}`
+                        });
+                    }
+                });
+        });
+        return anomalies;
+    },
+
+    // Time between consecutive hops; skipped for records without a timestamp
+    maxHopDelay(records, { seconds, from }) {
+        const anomalies = [];
+        records.forEach((record, position) => {
+            const previous = records[position - 1];
+            if (!previous || previous.timestamp === null || record.timestamp === null) return;
+            if (from && stageIndex(previous.eventType) < stageIndex(from)) return;
+
+            const delay = record.timestamp - previous.timestamp;
+            if (delay > seconds) {
+                anomalies.push({
+                    index: record.index,
+                    message: `${Math.round(delay / HOUR_SECONDS)}h after ${previous.eventType} (limit ${Math.round(seconds / HOUR_SECONDS)}h)`
+                });
+            }
+        });
+        return anomalies;
+    }
+};
+
+const DEFAULT_LIFECYCLE_RULES = [
+    { rule: 'knownStage', severity: 'warning' },
+    { rule: 'forwardOnly', severity: 'error' },
+    { rule: 'terminalStage', severity: 'error', stage: 'Customer Delivery' },
+    { rule: 'maxStageJump', severity: 'warning', maxJump: 2 },
+    { rule: 'requiresEarlier', severity: 'error', stage: 'Retail', after: ['Shipping'] },
+    { rule: 'separationOfDuties', severity: 'warning', pairs: [['Manufacturing', 'Quality Control']] }
+];
+
+const LIFECYCLE_RULE_SETS = {
+    default: DEFAULT_LIFECYCLE_RULES,
+    // Every hop must be recorded, and quality control is always independent of manufacturing
+    Pharmaceutical: [
+        { rule: 'knownStage', severity: 'error' },
+        { rule: 'forwardOnly', severity: 'error' },
+        { rule: 'terminalStage', severity: 'error', stage: 'Customer Delivery' },
+        { rule: 'maxStageJump', severity: 'error', maxJump: 1 },
+        { rule: 'requiresEarlier', severity: 'error', stage: 'Packaging', after: ['Quality Control'] },
+        { rule: 'requiresEarlier', severity: 'error', stage: 'Retail', after: ['Shipping', 'Warehouse Storage'] },
+        { rule: 'separationOfDuties', severity: 'error', pairs: [['Manufacturing', 'Quality Control'], ['Quality Control', 'Packaging']] }
+    ],
+    // Perishable: once shipped, goods may not sit for more than three days between hops
+    Food: [
+        ...DEFAULT_LIFECYCLE_RULES,
+        { rule: 'maxHopDelay', severity: 'warning', seconds: 72 * HOUR_SECONDS, from: 'Shipping' }
+    ]
+};
+
+function findLifecycleRuleSet(category) {
+    const name = Object.keys(LIFECYCLE_RULE_SETS)
+        .find(key => key !== 'default' && key.toLowerCase() === (category || '').trim().toLowerCase());
+    return { name: name || 'default', rules: LIFECYCLE_RULE_SETS[name || 'default'] };
+}
+
+// Returns { ruleSet, anomalies } with anomalies as { index, rule, severity, message } in record order
+function checkLifecycle(records, category) {
+    const ruleSet = findLifecycleRuleSet(category);
+    const anomalies = [];
+
+    ruleSet.rules.forEach(({ rule, severity, ...options }) => {
+        const checker = LIFECYCLE_RULES[rule];
+        if (!checker) {
+            throw new Error(`Unknown lifecycle rule: ${rule}`);
+        }
+        checker(records, options).forEach(anomaly => {
+            // Rules can overlap (a hop after the terminal stage also goes backwards); report it once
+            if (anomalies.some(existing => existing.index === anomaly.index && existing.message === anomaly.message)) return;
+            anomalies.push({ ...anomaly, rule, severity });
+        });
+    });
+
+    anomalies.sort((a, b) => a.index - b.index);
+    return { ruleSet: ruleSet.name, anomalies };
+}
@@ -0,0 +1,141 @@
+// Live contract events and the per-wallet watchlist
+//
+// LiveEventFeed follows new blocks on the read provider and fetches the contract's logs for every
+// block since the last one it delivered. A dropped subscription therefore only delays events: the
+// next block, or the stall watchdog re-subscribing, catches up from the last seen block.
+
+const LIVE_EVENTS = ['ProductRegistered', 'BatchCreated', 'TraceRecordAdded', 'QualityCheckPerformed', 'BatchSealed', 'ProductRecalled'];
+const LIVE_CATCH_UP_CHUNK = 2000;
+// No block for this long means the block subscription has silently died
+const LIVE_STALL_MS = 60 * 1000;
+const LIVE_WATCHDOG_INTERVAL_MS = 15 * 1000;
+const WATCHLIST_STORAGE_PREFIX = 'privacyTraceability.watchlist';
+const LIVE_NOTIFICATION_LIMIT = 50;
+
+class LiveEventFeed {
+    // onEvents(rows) receives indexer-shaped rows in log order; onStatus({ connected, block, error })
+    constructor(contract, indexer, { onEvents, onStatus }) {
+        this.contract = contract;
+        this.provider = contract.provider;
+        this.indexer = indexer;
+        this.onEvents = onEvents;
+        this.onStatus = onStatus;
+        this.lastSeenBlock = null;
+        this.lastBlockAt = 0;
+        this.queue = Promise.resolve();
+        this.watchdog = null;
+        this.handleBlock = this.handleBlock.bind(this);
+    }
+
+    async start() {
+        this.lastSeenBlock = await this.provider.getBlockNumber();
+        this.subscribe();
+        this.watchdog = setInterval(() => this.checkStalled(), LIVE_WATCHDOG_INTERVAL_MS);
+        this.onStatus({ connected: true, block: this.lastSeenBlock });
+    }
+
+    stop() {
+        this.provider.off('block', this.handleBlock);
+        clearInterval(this.watchdog);
+        this.watchdog = null;
+    }
+
+    subscribe() {
+        this.provider.on('block', this.handleBlock);
+        this.lastBlockAt = Date.now();
+    }
+
+    handleBlock(blockNumber) {
+        this.lastBlockAt = Date.now();
+        this.catchUp(blockNumber);
+    }
+
+    async checkStalled() {
+        if (Date.now() - this.lastBlockAt < LIVE_STALL_MS) return;
+
+        this.onStatus({ connected: false, block: this.lastSeenBlock });
+        this.provider.off('block', this.handleBlock);
+        this.subscribe();
+        try {
+            await this.catchUp(await this.provider.getBlockNumber());
+        } catch (error) {
+            this.onStatus({ connected: false, block: this.lastSeenBlock, error });
+        }
+    }
+
+    // Runs one fetch at a time so overlapping block events never deliver a range twice
+    catchUp(latest) {
+        this.queue = this.queue
+            .then(() => this.fetchUntil(latest))
+            .catch(error => {
+                console.error('Live event catch-up failed:', error);
+                this.onStatus({ connected: false, block: this.lastSeenBlock, error });
+            });
+        return this.queue;
+    }
+
+    async fetchUntil(latest) {
+        if (latest <= this.lastSeenBlock) return;
+
+        const declared = Object.values(this.contract.interface.events).map(event => event.name);
+        const topics = [LIVE_EVENTS
+            .filter(name => declared.includes(name))
+            .map(name => this.contract.interface.getEventTopic(name))];
+        let fromBlock = this.lastSeenBlock + 1;
+
+        while (fromBlock <= latest) {
+            const toBlock = Math.min(fromBlock + LIVE_CATCH_UP_CHUNK - 1, latest);
+            const logs = await this.provider.getLogs({ address: this.contract.address, topics, fromBlock, toBlock });
+            if (logs.length > 0) {
+                this.onEvents(await Promise.all(logs.map(log => this.indexer.toRow(log))));
+            }
+            // Only advance once the range is delivered, so a failure retries from here
+            this.lastSeenBlock = toBlock;
+            fromBlock = toBlock + 1;
+        }
+
+        this.onStatus({ connected: true, block: this.lastSeenBlock });
+    }
+}
+
+// Product and batch IDs a wallet follows; read-only visitors share one list per browser
+class Watchlist {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        const saved = localStorage.getItem(storageKey);
+        this.items = saved ? JSON.parse(saved) : { product: [], batch: [] };
+    }
+
+    static storageKey(chainId, contractAddress, userAddress) {
+        const owner = userAddress ? userAddress.toLowerCase() : 'read-only';
+        return `${WATCHLIST_STORAGE_PREFIX}:${chainId}:${contractAddress.toLowerCase()}:${owner}`;
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+    }
+
+    add(kind, id) {
+        if (this.items[kind].includes(id)) return false;
+
+        this.items[kind].push(id);
+        this.items[kind].sort((a, b) => Number(a) - Number(b));
+        this.save();
+        return true;
+    }
+
+    remove(kind, id) {
+        this.items[kind] = this.items[kind].filter(item => item !== id);
+        this.save();
+    }
+
+    hasBatches() {
+        return this.items.batch.length > 0;
+    }
+
+    // A row matches when it names a watched product or a watched batch
+    matches(row) {
+        return (row.productId !== null && this.items.product.includes(row.productId)) ||
+            (row.batchId !== null && this.items.batch.includes(row.batchId));
+    }
+}
@@ -0,0 +1,97 @@
+// Batch manifests and the seal-readiness checklist
+//
+// A manifest lists every product registered into a batch with its category and trace count.
+// The readiness checks compare it with what the owner declared at createBatch time. The declared
+// quantity and the quality check results are encrypted, so those two checks stay 'unknown' until
+// the owner decrypts them; quality checks recorded by other trackers never become visible.
+
+const SEAL_CHECK_ICONS = { pass: '✅', warn: '⚠️', fail: '❌', unknown: '❔' };
+
+async function buildBatchManifest(readContract, batchId, productIds) {
+    const batch = await readContract.getBatchInfo(batchId);
+    const products = [];
+
+    for (const productId of productIds) {
+        const product = await readContract.getProductInfo(productId);
+        products.push({
+            productId: productId.toString(),
+            manufacturer: product.manufacturer,
+            category: product.category,
+            traceRecordCount: product.traceRecordCount.toNumber()
+        });
+    }
+
+    return {
+        batchId: batchId.toString(),
+        isSealed: batch.isSealed,
+        batchOwner: batch.batchOwner,
+        productCount: batch.productCount.toNumber(),
+        products
+    };
+}
+
+// privateChecks is null before decryption, then { declaredQuantity, qualityChecks } where each
+// quality check is { productId, index, passed } and passed is null when the wallet may not decrypt it.
+// Returns [{ label, status: 'pass' | 'warn' | 'fail' | 'unknown', detail }].
+function assessSealReadiness(manifest, privateChecks) {
+    const checks = [];
+    const registered = manifest.productCount;
+
+    if (registered === 0) {
+        checks.push({ label: 'Products', status: 'fail', detail: 'The batch has no products; sealing it would lock an empty batch' });
+    } else if (manifest.products.length !== registered) {
+        checks.push({
+            label: 'Products',
+            status: 'warn',
+            detail: `Only ${manifest.products.length} of ${registered} products could be listed; sync the event index to see them all`
+        });
+    } else {
+        checks.push({ label: 'Products', status: 'pass', detail: `${registered} product(s) registered` });
+    }
+
+    const declared = privateChecks ? privateChecks.declaredQuantity : null;
+    if (declared === null) {
+        checks.push({ label: 'Declared quantity', status: 'unknown', detail: `Decrypt the declared quantity to compare it with the ${registered} registered product(s)` });
+    } else if (declared === registered) {
+        checks.push({ label: 'Declared quantity', status: 'pass', detail: `All ${declared} declared products are registered` });
+    } else if (registered < declared) {
+        checks.push({ label: 'Declared quantity', status: 'warn', detail: `${declared - registered} of ${declared} declared products are not registered yet` });
+    } else {
+        checks.push({ label: 'Declared quantity', status: 'warn', detail: `${registered} products registered, more than the ${declared} declared` });
+    }
+
+    const untraced = manifest.products.filter(product => product.traceRecordCount === 0);
+    if (untraced.length > 0) {
+        checks.push({
+            label: 'Trace records',
+            status: 'warn',
+            detail: `No trace records yet for product(s) ${untraced.map(product => product.productId).join(', ')}`
+        });
+    } else if (manifest.products.length > 0) {
+        checks.push({ label: 'Trace records', status: 'pass', detail: 'Every listed product has at least one trace record' });
+    }
+
+    if (!privateChecks) {
+        checks.push({ label: 'Quality checks', status: 'unknown', detail: 'Decrypt the quality checks your wallet recorded to look for failures' });
+    } else {
+        const failed = privateChecks.qualityChecks.filter(check => check.passed === false);
+        const hidden = privateChecks.qualityChecks.filter(check => check.passed === null);
+        const hiddenNote = hidden.length > 0 ? `; ${hidden.length} check(s) recorded by other trackers cannot be decrypted by your wallet` : '';
+
+        if (failed.length > 0) {
+            checks.push({
+                label: 'Quality checks',
+                status: 'fail',
+                detail: `Failed: ${failed.map(check => `product ${check.productId} record ${check.index + 1}`).join(', ')}${hiddenNote}`
+            });
+        } else {
+            checks.push({
+                label: 'Quality checks',
+                status: hidden.length > 0 ? 'unknown' : 'pass',
+                detail: `${privateChecks.qualityChecks.length - hidden.length} decrypted check(s) passed${hiddenNote}`
+            });
+        }
+    }
+
+    return checks;
+}
@@ -0,0 +1,158 @@
+// Batched contract reads over Multicall3 with a block-aware cache
+//
+// View calls made in the same tick are queued and sent together as one aggregate3 eth_call,
+// which also returns the block it ran at. Chains without Multicall3 at its canonical address get
+// the same calls in parallel instead. Results are cached until a newer block is seen (from a
+// multicall, the live feed or a confirmed transaction), so views asking for the same product or
+// batch within a block share one read.
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) view returns ((bool success, bytes returnData)[] returnData)',
+    'function getBlockNumber() view returns (uint256 blockNumber)'
+];
+// Calls per aggregate3 request; larger batches risk the RPC's eth_call gas cap
+const MULTICALL_BATCH_SIZE = 100;
+const READ_CACHE_LIMIT = 500;
+// Without block signals an entry is trusted for about one block time
+const READ_CACHE_MAX_AGE_MS = 12 * 1000;
+
+class MulticallReader {
+    constructor(contract) {
+        this.contract = contract;
+        this.provider = contract.provider;
+        this.multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, this.provider);
+        this.available = null;
+        this.latestBlock = null;
+        this.cache = new Map();
+        this.pending = [];
+        this.flushTimer = null;
+
+        // Same call shape as the contract's view functions: reader.views.getProductInfo(id)
+        this.views = {};
+        this.contract.interface.fragments
+            .filter(fragment => fragment.type === 'function' && (fragment.stateMutability === 'view' || fragment.stateMutability === 'pure'))
+            .forEach(fragment => {
+                if (!this.views[fragment.name]) {
+                    this.views[fragment.name] = (...args) => this.call(fragment.name, args);
+                }
+            });
+    }
+
+    // Records that the chain has reached blockNumber; anything cached from earlier is stale
+    observeBlock(blockNumber) {
+        if (blockNumber === null || blockNumber === undefined) return;
+        if (this.latestBlock === null || blockNumber > this.latestBlock) {
+            this.latestBlock = blockNumber;
+        }
+    }
+
+    invalidate() {
+        this.cache.clear();
+    }
+
+    isFresh(entry) {
+        if (Date.now() - entry.at > READ_CACHE_MAX_AGE_MS) return false;
+        return this.latestBlock === null || (entry.block !== null && entry.block >= this.latestBlock);
+    }
+
+    call(method, args = []) {
+        const key = `${method}:${JSON.stringify(args.map(arg => arg.toString()))}`;
+        const cached = this.cache.get(key);
+        if (cached && this.isFresh(cached)) {
+            return cached.promise;
+        }
+
+        const entry = { block: this.latestBlock, at: Date.now(), promise: null };
+        entry.promise = new Promise((resolve, reject) => {
+            this.pending.push({ method, args, entry, resolve, reject });
+        });
+        // Failed reads are retried on the next lookup rather than served from the cache
+        entry.promise.catch(() => {
+            if (this.cache.get(key) === entry) this.cache.delete(key);
+        });
+
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        if (this.cache.size > READ_CACHE_LIMIT) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), 0);
+        }
+        return entry.promise;
+    }
+
+    async isMulticallAvailable() {
+        if (this.available === null) {
+            this.available = this.provider.getCode(MULTICALL3_ADDRESS)
+                .then(code => code !== '0x')
+                .catch(() => false);
+        }
+        return this.available;
+    }
+
+    async flush() {
+        const requests = this.pending;
+        this.pending = [];
+        this.flushTimer = null;
+
+        if (!await this.isMulticallAvailable()) {
+            requests.forEach(request => {
+                this.contract[request.method](...request.args).then(request.resolve, request.reject);
+            });
+            return;
+        }
+
+        for (let i = 0; i < requests.length; i += MULTICALL_BATCH_SIZE) {
+            this.aggregate(requests.slice(i, i + MULTICALL_BATCH_SIZE));
+        }
+    }
+
+    async aggregate(requests) {
+        const contractInterface = this.contract.interface;
+        const calls = [
+            { target: MULTICALL3_ADDRESS, allowFailure: false, callData: this.multicall.interface.encodeFunctionData('getBlockNumber') },
+            ...requests.map(request => ({
+                target: this.contract.address,
+                allowFailure: true,
+                callData: contractInterface.encodeFunctionData(request.method, request.args)
+            }))
+        ];
+
+        let results;
+        try {
+            results = await this.multicall.aggregate3(calls);
+        } catch (error) {
+            requests.forEach(request => request.reject(error));
+            return;
+        }
+
+        const [blockNumber] = this.multicall.interface.decodeFunctionResult('getBlockNumber', results[0].returnData);
+        this.observeBlock(blockNumber.toNumber());
+
+        requests.forEach((request, index) => {
+            const { success, returnData } = results[index + 1];
+            request.entry.block = blockNumber.toNumber();
+
+            if (!success) {
+                // Shaped like ethers' own CALL_EXCEPTION so decodeContractError reads the revert data
+                const error = new Error(`call revert exception: ${request.method}`);
+                error.code = ethers.errors.CALL_EXCEPTION;
+                error.method = request.method;
+                error.data = returnData;
+                request.reject(error);
+                return;
+            }
+
+            try {
+                const fragment = contractInterface.getFunction(request.method);
+                const decoded = contractInterface.decodeFunctionResult(fragment, returnData);
+                request.resolve(fragment.outputs.length === 1 ? decoded[0] : decoded);
+            } catch (error) {
+                request.reject(error);
+            }
+        });
+    }
+}
@@ -0,0 +1,125 @@
+// Offline outbox for trace records
+//
+// Records captured without connectivity are kept in localStorage with their capture time, one
+// queue per deployment and wallet, so only the wallet that captured a record reviews and submits
+// it. Once back online the queue is reviewed against on-chain history and then submitted oldest
+// first.
+//
+// Location and handler IDs and quality check results are what the FHE inputs hide on chain, so
+// the queue is encrypted like the name directory (directory.js), under the directory's key: it
+// can only be opened while the directory is unlocked.
+
+const OUTBOX_STORAGE_PREFIX = 'privacyTraceability.outbox';
+const OUTBOX_VERSION = 1;
+
+class TraceOutbox {
+    // key is the unlocked directory's AES-GCM key
+    constructor(storageKey, key) {
+        this.storageKey = storageKey;
+        this.key = key;
+        this.items = [];
+    }
+
+    static storageKey(chainId, contractAddress, account) {
+        return `${OUTBOX_STORAGE_PREFIX}:${chainId}:${contractAddress.toLowerCase()}:${account.toLowerCase()}`;
+    }
+
+    async load() {
+        const stored = JSON.parse(localStorage.getItem(this.storageKey));
+        if (!stored) return;
+        if (stored.version !== OUTBOX_VERSION) {
+            throw new Error('The offline queue on this device is in an unknown format');
+        }
+
+        try {
+            this.items = await decryptJson(this.key, stored);
+        } catch (error) {
+            throw new Error('The offline queue was saved under another directory passphrase, or modified');
+        }
+    }
+
+    async save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            version: OUTBOX_VERSION,
+            ...await encryptJson(this.key, this.items)
+        }));
+    }
+
+    async add({ productId, locationId, handlerId, qualityCheck, eventType }, capturedBy) {
+        const item = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            capturedAt: Math.floor(Date.now() / 1000),
+            capturedBy: capturedBy || null,
+            productId,
+            locationId,
+            handlerId,
+            qualityCheck,
+            eventType,
+            status: 'queued',
+            duplicateOf: null,
+            force: false,
+            txHash: null,
+            error: null
+        };
+        this.items.push(item);
+        await this.save();
+        return item;
+    }
+
+    async update(id, changes) {
+        const item = this.items.find(entry => entry.id === id);
+        if (item) {
+            Object.assign(item, changes);
+            await this.save();
+        }
+        return item;
+    }
+
+    async remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        await this.save();
+    }
+
+    async clearSubmitted() {
+        this.items = this.items.filter(item => item.status !== 'submitted');
+        await this.save();
+    }
+
+    // Items still waiting to go out, oldest capture first
+    outstanding() {
+        return this.items
+            .filter(item => item.status === 'queued' || item.status === 'failed')
+            .sort((a, b) => a.capturedAt - b.capturedAt);
+    }
+}
+
+// Flags queued items that look already recorded. history maps productId to that product's public
+// records ({ index, eventType, recorder, timestamp }); account is the wallet that will send.
+// Returns a Map of item id to a reason.
+function findOutboxDuplicates(items, history, account) {
+    const duplicates = new Map();
+    const seen = new Set();
+
+    items.forEach(item => {
+        if (item.force) return;
+
+        const key = `${item.productId}:${item.eventType}`;
+        if (seen.has(key)) {
+            duplicates.set(item.id, `Queued twice: ${item.eventType} for product ${item.productId}`);
+            return;
+        }
+        seen.add(key);
+
+        // Someone (usually the same tracker, re-typing it) already recorded this event since capture
+        const match = (history[item.productId] || []).find(record =>
+            record.eventType === item.eventType &&
+            record.recorder && account && record.recorder.toLowerCase() === account.toLowerCase() &&
+            (record.timestamp === null || record.timestamp >= item.capturedAt));
+        if (match) {
+            duplicates.set(item.id, `Already on chain as record ${match.index + 1}` +
+                (match.timestamp === null ? ' (sync the event index to compare capture times)' : ''));
+        }
+    });
+
+    return duplicates;
+}
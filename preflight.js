@@ -0,0 +1,115 @@
+// Write preflight: checks the conditions the contracts enforce with require() through view calls,
+// then dry-runs the call with callStatic. Either failure surfaces as a TraceabilityError before
+// the wallet is asked to sign anything.
+//
+// Each check returns the revert reason the contract would give, or null when the call can go ahead.
+
+async function isContractOwner(read, account) {
+    return (await read.owner()).toLowerCase() === account.toLowerCase();
+}
+
+async function checkOwner(read, account) {
+    return await isContractOwner(read, account) ? null : 'Not authorized owner';
+}
+
+async function checkManufacturer(read, account, reason = 'Not authorized manufacturer') {
+    if (await read.authorizedManufacturers(account) || await isContractOwner(read, account)) return null;
+    return reason;
+}
+
+async function checkTracker(read, account) {
+    if (await read.authorizedTrackers(account) || await isContractOwner(read, account)) return null;
+    return 'Not authorized tracker';
+}
+
+// Product IDs are sequential from 1, so existence is a range check
+async function checkProductExists(read, productId) {
+    const total = await read.getTotalProducts();
+    return productId >= 1 && total.gte(productId) ? null : 'Product does not exist';
+}
+
+async function checkBatchWritable(read, batchId, account) {
+    const total = await read.getTotalBatches();
+    if (!(batchId >= 1) || total.lt(batchId)) return 'Invalid batch ID';
+    return validateBatchForRegistration(await read.getBatchInfo(batchId), account);
+}
+
+const WRITE_PRECONDITIONS = {
+    // PrivateTraceability
+    addAuthorizedTracker: (read, params, account) => checkOwner(read, account),
+    removeAuthorizedTracker: (read, params, account) => checkOwner(read, account),
+    addAuthorizedManufacturer: (read, params, account) => checkOwner(read, account),
+    removeAuthorizedManufacturer: (read, params, account) => checkOwner(read, account),
+    createBatch: (read, params, account) => checkManufacturer(read, account),
+    registerProduct: async (read, [, , , batchId], account) =>
+        await checkManufacturer(read, account) || checkBatchWritable(read, Number(batchId), account),
+    sealBatch: async (read, [batchId], account) =>
+        await checkManufacturer(read, account) || checkBatchWritable(read, Number(batchId), account),
+    addTraceRecord: async (read, [productId], account) =>
+        await checkTracker(read, account) || checkProductExists(read, Number(productId)),
+    recallProducts: async (read, [productIds, reason], account) => {
+        if (!reason) return 'Recall reason required';
+        const isOwner = await isContractOwner(read, account);
+        for (const productId of productIds) {
+            const missing = await checkProductExists(read, Number(productId));
+            if (missing) return missing;
+            if (isOwner) continue;
+
+            const product = await read.getProductInfo(productId);
+            if (product.manufacturer.toLowerCase() !== account.toLowerCase()) return 'Not authorized to recall';
+        }
+        return null;
+    },
+    requestProductDecryption: async (read, [productId], account) => {
+        const missing = await checkProductExists(read, Number(productId));
+        if (missing) return missing;
+        if (await read.hasDecryptionAccess(productId, account)) return 'Already has decryption access';
+        return await read.mayRequestDecryption(productId, account) ? null : 'Not authorized to decrypt';
+    },
+    fulfillDecryptionRequest: async (read, [requestId], account) => {
+        if ((await read.decryptionGateway()).toLowerCase() !== account.toLowerCase()) return 'Not the decryption gateway';
+        const request = await read.decryptionRequests(requestId);
+        if (request.requester === ethers.constants.AddressZero) return 'Unknown decryption request';
+        return request.fulfilled ? 'Decryption already fulfilled' : null;
+    },
+    setDecryptionGateway: async (read, [gateway], account) =>
+        await checkOwner(read, account) || (gateway === ethers.constants.AddressZero ? 'Gateway cannot be zero address' : null),
+
+    // PrivacyTraceability
+    setManufacturerAuthorization: (read, params, account) => checkOwner(read, account),
+    pauseContract: (read, params, account) => checkOwner(read, account),
+    transferOwnership: async (read, [newOwner], account) =>
+        await checkOwner(read, account) || (newOwner === ethers.constants.AddressZero ? 'New owner cannot be zero address' : null),
+    addProductSafe: async (read, [productId, productName, manufacturer], account) => {
+        const denied = await checkManufacturer(read, account, 'Not authorized to add products');
+        if (denied) return denied;
+        if (await read.contractPaused()) return 'Contract is paused';
+        if (!productId) return 'Product ID cannot be empty';
+        if (!productName) return 'Product name cannot be empty';
+        if (!manufacturer) return 'Manufacturer cannot be empty';
+        return await read.productExists(productId) ? 'Product already exists' : null;
+    }
+};
+
+// Throws a TraceabilityError when { method, params } would revert for account; read is a view-only
+// contract and contract the signer-backed one whose callStatic does the dry run
+async function preflightTransaction(contract, read, { method, params }, account) {
+    const check = WRITE_PRECONDITIONS[method];
+    const reason = check ? await check(read, params, account) : null;
+    if (reason) {
+        throw createContractError(reason);
+    }
+
+    try {
+        await contract.callStatic[method](...params);
+    } catch (error) {
+        throw decodeContractError(error, contract.interface);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WRITE_PRECONDITIONS,
+        preflightTransaction
+    };
+}
@@ -0,0 +1,96 @@
+// Recall scoping and manifests
+//
+// findRecallScope() collects every product a recall has to cover from the event index:
+// ProductRegistered logs place products in batches and TraceRecordAdded logs show who handled
+// them and when. Categories only live in contract storage, so they are read through the batched
+// views. The manifest lists each product with its last public event, ready to hand to
+// distributors; recallProducts() then marks the products on chain.
+
+const RECALL_FORMAT = 'privacy-traceability-recall';
+const RECALL_VERSION = 1;
+const RECALL_SCOPES = ['batch', 'tracker', 'category'];
+// Product IDs per recallProducts transaction; each one writes a storage slot and emits an event
+const RECALL_CHUNK_SIZE = 50;
+
+// criteria is { scope: 'batch', batchId }, { scope: 'tracker', tracker, from, to } or
+// { scope: 'category', category, from, to }, with from/to in unix seconds or null for open ends.
+// views is a contract-shaped read object such as MulticallReader.views.
+async function findRecallScope(indexer, views, criteria) {
+    const registrations = await indexer.getEventsByName('ProductRegistered');
+    const traces = await indexer.getEventsByName('TraceRecordAdded');
+    const recalls = await indexer.getEventsByName('ProductRecalled');
+    const inWindow = (timestamp) =>
+        (criteria.from === null || timestamp >= criteria.from) && (criteria.to === null || timestamp <= criteria.to);
+
+    let matched;
+    switch (criteria.scope) {
+        case 'batch':
+            matched = registrations.filter(row => row.batchId === criteria.batchId.toString());
+            break;
+        case 'tracker':
+            matched = traces.filter(row => row.recorder.toLowerCase() === criteria.tracker.toLowerCase() && inWindow(row.timestamp));
+            break;
+        case 'category':
+            // Registered or handled inside the window; the category is checked below
+            matched = [...registrations, ...traces].filter(row => inWindow(row.timestamp));
+            break;
+        default:
+            throw new Error(`Unknown recall scope: ${criteria.scope}`);
+    }
+
+    const productIds = [...new Set(matched.map(row => row.productId))].sort((a, b) => Number(a) - Number(b));
+    const infos = await Promise.all(productIds.map(productId => views.getProductInfo(productId)));
+
+    const products = productIds.map((productId, index) => {
+        const registration = registrations.find(row => row.productId === productId);
+        const history = traces.filter(row => row.productId === productId);
+        const last = history.length > 0 ? history[history.length - 1] : null;
+        const recall = recalls.find(row => row.productId === productId);
+
+        return {
+            productId,
+            batchId: infos[index].batchId.toString(),
+            category: infos[index].category,
+            manufacturer: infos[index].manufacturer,
+            registeredAt: registration ? registration.timestamp : null,
+            traceRecordCount: infos[index].traceRecordCount.toNumber(),
+            lastEventType: last ? last.eventType : null,
+            lastRecorder: last ? last.recorder : null,
+            lastEventAt: last ? last.timestamp : null,
+            recalled: Boolean(recall),
+            recallReason: recall ? recall.reason : null
+        };
+    });
+
+    if (criteria.scope !== 'category') return products;
+    const category = criteria.category.trim().toLowerCase();
+    return products.filter(product => product.category.toLowerCase() === category);
+}
+
+function buildRecallManifest(deployment, chainId, criteria, products) {
+    return {
+        format: RECALL_FORMAT,
+        version: RECALL_VERSION,
+        generatedAt: new Date().toISOString(),
+        chainId,
+        contract: deployment.address,
+        criteria,
+        productCount: products.length,
+        products
+    };
+}
+
+function recallManifestToCsv(manifest) {
+    const columns = ['productId', 'batchId', 'category', 'manufacturer', 'registeredAt', 'traceRecordCount',
+        'lastEventType', 'lastRecorder', 'lastEventAt', 'recalled', 'recallReason'];
+    return [columns.join(','), ...manifest.products.map(product => columns.map(column => toCsvCell(product[column])).join(','))].join('\n');
+}
+
+function downloadRecallManifest(manifest, format) {
+    const csv = format === 'csv';
+    downloadFile(
+        `recall-${manifest.criteria.scope}-chain${manifest.chainId}-${manifest.generatedAt.slice(0, 10)}.${csv ? 'csv' : 'json'}`,
+        csv ? recallManifestToCsv(manifest) : JSON.stringify(manifest, null, 2),
+        csv ? 'text/csv' : 'application/json'
+    );
+}
@@ -0,0 +1,378 @@
+// Provenance reports: a self-contained JSON record of a product or batch that anyone can
+// re-check against a node of their choice
+//
+// Every on-chain fact in a report carries the log it was emitted in (tx hash, block, log index),
+// so the verifier can confirm both the current contract state and that the events still sit in
+// the same blocks. Reports are built from the event index; they refuse to export partial history.
+
+const REPORT_FORMAT = 'privacy-traceability/provenance-report';
+const REPORT_VERSION = 1;
+
+function toLogReference(row) {
+    return {
+        event: row.event,
+        transactionHash: row.transactionHash,
+        blockNumber: row.blockNumber,
+        blockHash: row.blockHash,
+        logIndex: row.logIndex,
+        timestamp: row.timestamp
+    };
+}
+
+async function collectProductProvenance(contract, indexer, productId) {
+    const info = await contract.getProductInfo(productId);
+    const registration = await indexer.getProductRegistration(productId);
+    const traceEvents = await indexer.getTraceHistory(productId);
+    const traceRecordCount = info.traceRecordCount.toNumber();
+
+    if (!registration || traceEvents.length !== traceRecordCount) {
+        throw new Error(`The event index does not cover product ${productId} yet; sync it and export again`);
+    }
+
+    const traceRecords = [];
+    for (let index = 0; index < traceRecordCount; index++) {
+        const record = await contract.getPublicTraceInfo(productId, index);
+        traceRecords.push({
+            index,
+            recorder: record.recorder,
+            eventType: record.eventType,
+            log: toLogReference(traceEvents[index])
+        });
+    }
+
+    return {
+        productId: productId.toString(),
+        manufacturer: info.manufacturer,
+        batchId: info.batchId.toString(),
+        category: info.category,
+        traceRecordCount,
+        registration: toLogReference(registration),
+        traceRecords
+    };
+}
+
+async function collectBatchProvenance(contract, indexer, batchId) {
+    const info = await contract.getBatchInfo(batchId);
+    const events = await indexer.getBatchEvents(batchId);
+    const created = events.find(row => row.event === 'BatchCreated');
+    const sealed = events.find(row => row.event === 'BatchSealed');
+
+    if (!created) {
+        throw new Error(`The event index does not cover batch ${batchId} yet; sync it and export again`);
+    }
+
+    return {
+        batchId: batchId.toString(),
+        isSealed: info.isSealed,
+        batchOwner: info.batchOwner,
+        productCount: info.productCount.toNumber(),
+        created: toLogReference(created),
+        sealed: sealed ? toLogReference(sealed) : null,
+        productIds: events.filter(row => row.event === 'ProductRegistered').map(row => row.productId)
+    };
+}
+
+// subject is { type: 'product' | 'batch', id }; the indexer must already be synced
+async function buildProvenanceReport(contract, indexer, chainId, subject) {
+    const report = {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        chainId,
+        contractAddress: contract.address,
+        subject: { type: subject.type, id: subject.id.toString() },
+        batch: null,
+        products: []
+    };
+
+    if (subject.type === 'batch') {
+        const { productIds, ...batch } = await collectBatchProvenance(contract, indexer, subject.id);
+        if (productIds.length !== batch.productCount) {
+            throw new Error(`The event index lists ${productIds.length} of ${batch.productCount} products in batch ${subject.id}; sync it and export again`);
+        }
+        report.batch = batch;
+        for (const productId of productIds) {
+            report.products.push(await collectProductProvenance(contract, indexer, productId));
+        }
+    } else {
+        const product = await collectProductProvenance(contract, indexer, subject.id);
+        const { productIds, ...batch } = await collectBatchProvenance(contract, indexer, product.batchId);
+        report.batch = batch;
+        report.products.push(product);
+    }
+
+    return report;
+}
+
+function parseProvenanceReport(text) {
+    const report = JSON.parse(text);
+    if (report.format !== REPORT_FORMAT) {
+        throw new Error('This file is not a provenance report');
+    }
+    if (report.version !== REPORT_VERSION) {
+        throw new Error(`Unsupported report version ${report.version}`);
+    }
+    const malformed = findMalformedReportPath(report);
+    if (malformed) {
+        throw new Error(`The report is malformed at ${malformed}`);
+    }
+    return report;
+}
+
+// Path of the first part the verifier dereferences that is missing or of the wrong type, or null
+function findMalformedReportPath(report) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isLogReference = value => isObject(value) &&
+        ethers.utils.isHexString(value.transactionHash, 32) && Number.isInteger(value.logIndex);
+
+    if (!Number.isInteger(report.chainId)) return 'chainId';
+    if (typeof report.contractAddress !== 'string' || !ethers.utils.isAddress(report.contractAddress)) return 'contractAddress';
+    if (!isObject(report.subject)) return 'subject';
+    if (!isObject(report.batch)) return 'batch';
+    if (!isLogReference(report.batch.created)) return 'batch.created';
+    if (report.batch.sealed != null && !isLogReference(report.batch.sealed)) return 'batch.sealed';
+    if (!Array.isArray(report.products)) return 'products';
+
+    for (const [position, product] of report.products.entries()) {
+        const path = `products[${position}]`;
+        if (!isObject(product)) return path;
+        if (!isLogReference(product.registration)) return `${path}.registration`;
+        if (!Array.isArray(product.traceRecords)) return `${path}.traceRecords`;
+        for (const [index, record] of product.traceRecords.entries()) {
+            if (!isObject(record)) return `${path}.traceRecords[${index}]`;
+            if (!isLogReference(record.log)) return `${path}.traceRecords[${index}].log`;
+        }
+    }
+    return null;
+}
+
+// Re-checks every entry of a report against the node behind `provider`.
+// Returns { checked, problems } with problems as { path, kind: 'mismatch' | 'missing', expected, actual }.
+async function verifyProvenanceReport(report, provider, onProgress) {
+    const problems = [];
+    let checked = 0;
+    // Addresses and hashes may differ only in hex case; every other value must match exactly
+    const foldHexCase = value => typeof value === 'string' &&
+        (ethers.utils.isAddress(value) || ethers.utils.isHexString(value, 32)) ? value.toLowerCase() : value;
+    const compare = (path, expected, actual) => {
+        checked++;
+        const matches = foldHexCase(expected) === foldHexCase(actual);
+        if (!matches) {
+            problems.push({ path, kind: 'mismatch', expected, actual });
+        }
+        return matches;
+    };
+    const missing = (path, expected) => {
+        checked++;
+        problems.push({ path, kind: 'missing', expected, actual: null });
+    };
+
+    const network = await provider.getNetwork();
+    if (network.chainId !== report.chainId) {
+        throw new Error(`The report is for chain ${report.chainId}, but the node serves chain ${network.chainId}`);
+    }
+    if (await provider.getCode(report.contractAddress) === '0x') {
+        throw new Error(`No contract is deployed at ${report.contractAddress} on this chain`);
+    }
+
+    const contract = new ethers.Contract(report.contractAddress, CONTRACT_ABIS['private-traceability'], provider);
+    const receipts = new Map();
+
+    // The log must still be in the same block, at the same position, with the same arguments
+    const checkLog = async (path, reference, expectedArgs) => {
+        if (!receipts.has(reference.transactionHash)) {
+            receipts.set(reference.transactionHash, await provider.getTransactionReceipt(reference.transactionHash));
+        }
+        const receipt = receipts.get(reference.transactionHash);
+        if (!receipt) {
+            missing(`${path}.transactionHash`, reference.transactionHash);
+            return;
+        }
+        compare(`${path}.blockNumber`, reference.blockNumber, receipt.blockNumber);
+        compare(`${path}.blockHash`, reference.blockHash, receipt.blockHash);
+
+        const log = receipt.logs.find(entry => entry.logIndex === reference.logIndex);
+        if (!log || log.address.toLowerCase() !== report.contractAddress.toLowerCase()) {
+            missing(`${path}.logIndex`, reference.logIndex);
+            return;
+        }
+
+        // A log this ABI cannot decode is some other event; its arguments are not comparable
+        let parsed;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch (error) {
+            compare(`${path}.event`, reference.event, null);
+            return;
+        }
+        if (!compare(`${path}.event`, reference.event, parsed.name)) return;
+
+        Object.entries(expectedArgs).forEach(([name, value]) => {
+            if (parsed.args[name] === undefined) {
+                missing(`${path}.${name}`, value);
+            } else {
+                compare(`${path}.${name}`, value, parsed.args[name].toString());
+            }
+        });
+    };
+
+    const batch = report.batch;
+    let batchInfo = null;
+    try {
+        batchInfo = await contract.getBatchInfo(batch.batchId);
+    } catch (error) {
+        missing('batch.batchId', batch.batchId);
+    }
+    if (batchInfo) {
+        compare('batch.isSealed', batch.isSealed, batchInfo.isSealed);
+        compare('batch.batchOwner', batch.batchOwner, batchInfo.batchOwner);
+        compare('batch.productCount', batch.productCount, batchInfo.productCount.toNumber());
+        await checkLog('batch.created', batch.created, { batchId: batch.batchId, owner: batch.batchOwner });
+        if (batch.sealed) {
+            await checkLog('batch.sealed', batch.sealed, { batchId: batch.batchId });
+        }
+    }
+
+    for (const [position, product] of report.products.entries()) {
+        const path = `products[${position}]`;
+        if (onProgress) onProgress({ product: position + 1, total: report.products.length });
+
+        let info;
+        try {
+            info = await contract.getProductInfo(product.productId);
+        } catch (error) {
+            missing(`${path}.productId`, product.productId);
+            continue;
+        }
+        compare(`${path}.manufacturer`, product.manufacturer, info.manufacturer);
+        compare(`${path}.batchId`, product.batchId, info.batchId.toString());
+        compare(`${path}.category`, product.category, info.category);
+        compare(`${path}.traceRecordCount`, product.traceRecordCount, info.traceRecordCount.toNumber());
+        await checkLog(`${path}.registration`, product.registration, {
+            productId: product.productId,
+            manufacturer: product.manufacturer,
+            batchId: product.batchId
+        });
+
+        for (const record of product.traceRecords) {
+            const recordPath = `${path}.traceRecords[${record.index}]`;
+            let current;
+            try {
+                current = await contract.getPublicTraceInfo(product.productId, record.index);
+            } catch (error) {
+                missing(recordPath, record.eventType);
+                continue;
+            }
+            compare(`${recordPath}.recorder`, record.recorder, current.recorder);
+            compare(`${recordPath}.eventType`, record.eventType, current.eventType);
+            await checkLog(`${recordPath}.log`, record.log, {
+                productId: product.productId,
+                recorder: record.recorder,
+                eventType: record.eventType
+            });
+        }
+    }
+
+    return { checked, problems };
+}
+
+function downloadProvenanceReport(report) {
+    downloadFile(
+        `provenance-${report.subject.type}-${report.subject.id}-chain${report.chainId}.json`,
+        JSON.stringify(report, null, 2),
+        'application/json'
+    );
+}
+
+// Opens a print-ready copy of the report; the browser's print dialog saves it as PDF
+function printProvenanceReport(report, explorerUrl) {
+    const sheet = window.open('', '_blank');
+    if (!sheet) {
+        throw new Error('The report was blocked by a popup blocker');
+    }
+
+    const doc = sheet.document;
+    doc.title = `Provenance report - ${report.subject.type} ${report.subject.id}`;
+
+    const style = doc.createElement('style');
+    style.textContent = `
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 15mm; font-size: 10pt; }
+        h1 { font-size: 16pt; }
+        h2 { font-size: 13pt; margin-top: 8mm; border-bottom: 1px solid #999; }
+        table { border-collapse: collapse; width: 100%; margin: 3mm 0; }
+        th, td { border: 1px solid #ccc; padding: 1.5mm; text-align: left; vertical-align: top; }
+        td small { word-break: break-all; color: #555; }
+        @media print { .no-print { display: none; } }
+    `;
+    doc.head.appendChild(style);
+
+    const add = (parent, tag, text) => {
+        const element = doc.createElement(tag);
+        if (text !== undefined) element.textContent = text;
+        parent.appendChild(element);
+        return element;
+    };
+    const logCell = (row, reference) => {
+        const cell = add(row, 'td');
+        if (!reference) return;
+        add(cell, 'div', `Block ${reference.blockNumber} · log ${reference.logIndex} · ${new Date(reference.timestamp * 1000).toLocaleString()}`);
+        add(cell, 'small', reference.transactionHash);
+        if (explorerUrl) {
+            add(cell, 'div');
+            const link = add(cell, 'a', 'View on explorer');
+            link.href = `${explorerUrl}/tx/${reference.transactionHash}`;
+        }
+    };
+    const table = (headings) => {
+        const element = add(doc.body, 'table');
+        const head = add(element, 'tr');
+        headings.forEach(heading => add(head, 'th', heading));
+        return element;
+    };
+
+    const button = add(doc.body, 'button', 'Print / Save as PDF');
+    button.className = 'no-print';
+    button.addEventListener('click', () => sheet.print());
+
+    add(doc.body, 'h1', `Provenance Report · ${report.subject.type === 'batch' ? 'Batch' : 'Product'} #${report.subject.id}`);
+    add(doc.body, 'p', `Chain ${report.chainId} · Contract ${report.contractAddress} · Generated ${new Date(report.generatedAt).toLocaleString()}`);
+
+    const batch = report.batch;
+    add(doc.body, 'h2', `Batch #${batch.batchId}`);
+    const batchTable = table(['Owner', 'Status', 'Products', 'Created', 'Sealed']);
+    const batchRow = add(batchTable, 'tr');
+    add(batchRow, 'td', batch.batchOwner);
+    add(batchRow, 'td', batch.isSealed ? 'Sealed' : 'Open');
+    add(batchRow, 'td', batch.productCount.toString());
+    logCell(batchRow, batch.created);
+    logCell(batchRow, batch.sealed);
+
+    report.products.forEach(product => {
+        add(doc.body, 'h2', `Product #${product.productId} · ${product.category}`);
+        add(doc.body, 'p', `Manufacturer ${product.manufacturer} · Batch ${product.batchId}`);
+
+        const records = table(['#', 'Event', 'Recorder', 'Log']);
+        const registered = add(records, 'tr');
+        add(registered, 'td', '–');
+        add(registered, 'td', 'Registered');
+        add(registered, 'td', product.manufacturer);
+        logCell(registered, product.registration);
+
+        product.traceRecords.forEach(record => {
+            const row = add(records, 'tr');
+            add(row, 'td', (record.index + 1).toString());
+            add(row, 'td', record.eventType);
+            add(row, 'td', record.recorder);
+            logCell(row, record.log);
+        });
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPORT_FORMAT,
+        REPORT_VERSION,
+        parseProvenanceReport,
+        verifyProvenanceReport
+    };
+}
@@ -0,0 +1,71 @@
+// Role definitions and helpers for the owner administration console
+
+const ROLES = {
+    manufacturer: {
+        label: 'Manufacturer',
+        getter: 'authorizedManufacturers',
+        grant: 'addAuthorizedManufacturer',
+        revoke: 'removeAuthorizedManufacturer',
+        event: 'ManufacturerAuthorized'
+    },
+    tracker: {
+        label: 'Tracker',
+        getter: 'authorizedTrackers',
+        grant: 'addAuthorizedTracker',
+        revoke: 'removeAuthorizedTracker',
+        event: 'TrackerAuthorized'
+    }
+};
+
+// Splits pasted text on commas, semicolons and whitespace; returns checksummed unique
+// addresses plus the entries that are not valid addresses
+function parseAddressList(text) {
+    const addresses = [];
+    const invalid = [];
+
+    text.split(/[\s,;]+/).filter(Boolean).forEach(entry => {
+        if (!ethers.utils.isAddress(entry)) {
+            invalid.push(entry);
+            return;
+        }
+
+        const address = ethers.utils.getAddress(entry);
+        if (!addresses.includes(address)) {
+            addresses.push(address);
+        }
+    });
+
+    return { addresses, invalid };
+}
+
+// Folds role events (in log order) into the current holders of each role
+function buildRoleRoster(roleEvents) {
+    const roster = {};
+
+    Object.entries(ROLES).forEach(([role, definition]) => {
+        const holders = new Map();
+
+        roleEvents
+            .filter(event => event.event === definition.event)
+            .forEach(event => {
+                const address = ethers.utils.getAddress(event.account);
+                if (event.authorized) {
+                    holders.set(address, { address, since: event });
+                } else {
+                    holders.delete(address);
+                }
+            });
+
+        roster[role] = Array.from(holders.values());
+    });
+
+    return roster;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROLES,
+        parseAddressList,
+        buildRoleRoster
+    };
+}
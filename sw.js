@@ -0,0 +1,105 @@
+// Service worker for offline field use
+//
+// The app shell and the pinned CDN libraries are cached on install. Same-origin requests go to the
+// network first so deployments show up immediately, and fall back to the cache when offline.
+// The CDN URLs carry exact versions, so they are served from the cache first. RPC traffic (POST)
+// is never cached.
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icon.svg',
+    'dom.js',
+    'deployments.js',
+    'adapters.js',
+    'errors.js',
+    'preflight.js',
+    'transactions.js',
+    'encryption.js',
+    'decryption.js',
+    'gateway.js',
+    'indexer.js',
+    'multicall.js',
+    'roles.js',
+    'validation.js',
+    'bulk-import.js',
+    'labels.js',
+    'live.js',
+    'lifecycle.js',
+    'report.js',
+    'client.js',
+    'manifest.js',
+    'recall.js',
+    'outbox.js',
+    'directory.js',
+    'app.js'
+];
+
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/ethers@5.7.2/dist/ethers.umd.min.js',
+    'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js',
+    'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.min.js'
+];
+
+// Named after the file lists, so adding or removing a file installs a fresh cache and the
+// activate handler drops the old one
+const SHELL_CACHE = `privacy-traceability-shell-${hashFileList([...SHELL_FILES, ...CDN_FILES])}`;
+
+function hashFileList(files) {
+    let hash = 5381;
+    for (const char of files.join('\n')) {
+        hash = ((hash * 33) ^ char.charCodeAt(0)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll([...SHELL_FILES, ...CDN_FILES]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // ?deployment=, ?verify= and friends all load the same page
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return cache.match('index.html');
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_FILES.includes(request.url)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
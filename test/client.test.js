@@ -0,0 +1,370 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const path = require('path');
+
+const { TraceabilityClient } = require('../client');
+const { createDecryptor } = require('../decryption');
+const { decodeContractError } = require('../errors');
+const { findDeploymentBlock } = require('../deployments');
+const { REPORT_FORMAT, REPORT_VERSION, parseProvenanceReport, verifyProvenanceReport } = require('../report');
+const { DecryptionRequestTracker, LocalDecryptionGateway } = require('../gateway');
+const { RPC_URL, OWNER_PRIVATE_KEY, startDevChain, deployTraceability } = require('./helpers/devchain');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function runCli(args, env = {}) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], {
+            env: { ...process.env, TRACE_DEPLOYMENT: 'local', TRACE_RPC_URL: RPC_URL, ...env }
+        }, (error, stdout) => {
+            resolve({ status: error ? error.code : 0, result: JSON.parse(stdout) });
+        });
+    });
+}
+
+describe('TraceabilityClient on the dev chain', () => {
+    let chain;
+    let deployment;
+    let accounts;
+    const clients = {};
+
+    const clientFor = signer => new TraceabilityClient({ deployment, provider: chain.provider, signer });
+
+    before(async () => {
+        chain = await startDevChain();
+        deployment = await deployTraceability(chain.provider);
+
+        const [owner, maker, tracker, outsider] = [0, 1, 2, 3].map(index => chain.provider.getSigner(index));
+        accounts = {
+            owner: await owner.getAddress(),
+            maker: await maker.getAddress(),
+            tracker: await tracker.getAddress(),
+            outsider: await outsider.getAddress()
+        };
+        Object.assign(clients, {
+            owner: clientFor(owner),
+            maker: clientFor(maker),
+            tracker: clientFor(tracker),
+            outsider: clientFor(outsider),
+            reader: clientFor(null)
+        });
+    });
+
+    after(async () => {
+        if (chain) await chain.stop();
+    });
+
+    describe('roles', () => {
+        it('grants the manufacturer and tracker roles', async () => {
+            assert.equal((await clients.owner.grantRole({ role: 'manufacturer', account: accounts.maker })).ok, true);
+            assert.equal((await clients.owner.grantRole({ role: 'tracker', account: accounts.tracker })).ok, true);
+
+            const maker = await clients.reader.getRoles({ account: accounts.maker });
+            assert.deepEqual(maker.value, { owner: false, manufacturer: true, tracker: false });
+
+            const tracker = await clients.reader.getRoles({ account: accounts.tracker });
+            assert.deepEqual(tracker.value, { owner: false, manufacturer: false, tracker: true });
+        });
+
+        it('revokes a role it granted', async () => {
+            await clients.owner.grantRole({ role: 'tracker', account: accounts.outsider });
+            assert.equal((await clients.reader.getRoles({ account: accounts.outsider })).value.tracker, true);
+
+            const revoked = await clients.owner.revokeRole({ role: 'tracker', account: accounts.outsider });
+            assert.equal(revoked.ok, true);
+            assert.equal((await clients.reader.getRoles({ account: accounts.outsider })).value.tracker, false);
+        });
+
+        it('reports the deployer as owner', async () => {
+            const roles = await clients.reader.getRoles({ account: accounts.owner });
+            assert.deepEqual(roles.value, { owner: true, manufacturer: true, tracker: true });
+        });
+    });
+
+    describe('writes and queries', () => {
+        it('creates a batch', async () => {
+            const created = await clients.maker.createBatch({ supplierCount: 3, quantity: 100 });
+            assert.equal(created.ok, true, JSON.stringify(created.error));
+            assert.equal(created.value.batchId, '1');
+
+            const batch = await clients.reader.getBatch({ batchId: 1 });
+            assert.deepEqual(batch.value, { batchId: '1', isSealed: false, batchOwner: accounts.maker, productCount: 0 });
+        });
+
+        it('registers a product into the batch', async () => {
+            const registered = await clients.maker.registerProduct({
+                manufacturerId: 1001,
+                qualityScore: 95,
+                cost: 1250,
+                batchId: 1,
+                category: 'Electronics'
+            });
+            assert.equal(registered.ok, true, JSON.stringify(registered.error));
+            assert.equal(registered.value.productId, '1');
+
+            const product = await clients.reader.getProduct({ productId: 1 });
+            assert.deepEqual(product.value, {
+                productId: '1',
+                manufacturer: accounts.maker,
+                batchId: '1',
+                category: 'Electronics',
+                traceRecordCount: 0
+            });
+            assert.equal((await clients.reader.getBatch({ batchId: 1 })).value.productCount, 1);
+            assert.equal((await clients.reader.verifyProduct({ productId: 1 })).value, true);
+        });
+
+        it('adds trace records and lists them in the history', async () => {
+            const shipped = await clients.tracker.addTraceRecord({
+                productId: 1,
+                locationId: 501,
+                handlerId: 77,
+                qualityCheck: true,
+                eventType: 'Shipped'
+            });
+            assert.equal(shipped.ok, true, JSON.stringify(shipped.error));
+            assert.equal(shipped.value.productId, '1');
+
+            const history = await clients.reader.getTraceHistory({ productId: 1 });
+            assert.equal(history.value.length, 1);
+            assert.equal(history.value[0].recorder, accounts.tracker);
+            assert.equal(history.value[0].eventType, 'Shipped');
+            assert.equal(history.value[0].transactionHash, shipped.value.transactionHash);
+            assert.equal((await clients.reader.getProduct({ productId: 1 })).value.traceRecordCount, 1);
+        });
+
+        it('seals the batch', async () => {
+            const sealed = await clients.maker.sealBatch({ batchId: 1 });
+            assert.equal(sealed.ok, true, JSON.stringify(sealed.error));
+            assert.equal((await clients.reader.getBatch({ batchId: 1 })).value.isSealed, true);
+        });
+
+        it('counts products and batches', async () => {
+            const stats = await clients.reader.getStatistics();
+            assert.deepEqual(stats.value, { totalProducts: 1, totalBatches: 1 });
+        });
+
+        it('verifies known and unknown product IDs in bulk', async () => {
+            assert.deepEqual(await clients.reader.adapter.bulkVerify(['1', '2', '0', 'abc']), [true, false, false, false]);
+        });
+    });
+
+    describe('error results', () => {
+        it('rejects invalid input before sending anything', async () => {
+            const result = await clients.maker.createBatch({ supplierCount: -1, quantity: 'many' });
+            assert.equal(result.ok, false);
+            assert.equal(result.error.code, 'INVALID_INPUT');
+            assert.equal(result.error.problems.length, 2);
+        });
+
+        it('requires a signer for writes', async () => {
+            const result = await clients.reader.sealBatch({ batchId: 1 });
+            assert.equal(result.ok, false);
+            assert.match(result.error.message, /signer is required/);
+        });
+
+        it('reports missing roles', async () => {
+            const batch = await clients.outsider.createBatch({ supplierCount: 1, quantity: 1 });
+            assert.equal(batch.error.code, 'NOT_MANUFACTURER');
+
+            const trace = await clients.outsider.addTraceRecord({
+                productId: 1,
+                locationId: 1,
+                handlerId: 1,
+                qualityCheck: false,
+                eventType: 'Tampered'
+            });
+            assert.equal(trace.error.code, 'NOT_TRACKER');
+
+            const role = await clients.maker.grantRole({ role: 'tracker', account: accounts.outsider });
+            assert.equal(role.error.code, 'NOT_OWNER');
+        });
+
+        it('reports writes to a sealed batch', async () => {
+            const product = await clients.maker.registerProduct({
+                manufacturerId: 1001,
+                qualityScore: 80,
+                cost: 10,
+                batchId: 1,
+                category: 'Electronics'
+            });
+            assert.equal(product.error.code, 'BATCH_SEALED');
+            assert.equal((await clients.maker.sealBatch({ batchId: 1 })).error.code, 'BATCH_SEALED');
+        });
+
+        it('reports batches owned by someone else', async () => {
+            const created = await clients.owner.createBatch({ supplierCount: 2, quantity: 5 });
+            const sealed = await clients.maker.sealBatch({ batchId: Number(created.value.batchId) });
+            assert.equal(sealed.error.code, 'NOT_BATCH_OWNER');
+        });
+
+        it('reports unknown products and batches', async () => {
+            assert.equal((await clients.reader.getProduct({ productId: 99 })).error.code, 'PRODUCT_NOT_FOUND');
+            assert.equal((await clients.maker.registerProduct({
+                manufacturerId: 1,
+                qualityScore: 1,
+                cost: 1,
+                batchId: 99,
+                category: 'Food'
+            })).error.code, 'INVALID_BATCH');
+        });
+    });
+
+    describe('decryption requests', () => {
+        const revertsWith = code => error => decodeContractError(error).code === code;
+        let tracker;
+        let gateway;
+
+        before(() => {
+            tracker = new DecryptionRequestTracker(clients.reader.read);
+            gateway = new LocalDecryptionGateway(clients.reader.read, chain.provider.getSigner(0));
+        });
+
+        it('needs no request from the manufacturer', async () => {
+            assert.equal(await clients.reader.read.hasDecryptionAccess(1, accounts.maker), true);
+            const result = await clients.maker.requestDecryption({ productId: 1 });
+            assert.equal(result.error.code, 'DECRYPTION_ACCESS_HELD');
+        });
+
+        it('refuses wallets that never handled the product', async () => {
+            const result = await clients.outsider.requestDecryption({ productId: 1 });
+            assert.equal(result.error.code, 'NOT_DECRYPT_AUTHORIZED');
+        });
+
+        it('keeps a request pending until the gateway grants access', async () => {
+            const requested = await clients.tracker.requestDecryption({ productId: 1 });
+            assert.equal(requested.ok, true, JSON.stringify(requested.error));
+            assert.equal(requested.value.requestId, '1');
+            assert.equal(await clients.reader.read.hasDecryptionAccess(1, accounts.tracker), false);
+
+            await tracker.restore(accounts.tracker);
+            assert.deepEqual(tracker.list().map(request => [request.requestId, request.status]), [['1', 'pending']]);
+
+            const callback = await gateway.fulfil(1);
+            await tracker.checkPending();
+            const [request] = tracker.list();
+            assert.equal(request.status, 'fulfilled');
+            assert.equal(request.callbackTxHash, callback.transactionHash);
+            assert.equal((await clients.reader.getDecryptionRequest({ requestId: 1 })).value.fulfilled, true);
+        });
+
+        it('lets the requester user-decrypt once granted', async () => {
+            const product = await clients.reader.read.products(1);
+            const handles = [product.encryptedManufacturerId, product.encryptedQualityScore, product.encryptedCost];
+            const decryptor = createDecryptor('mock', { provider: chain.provider });
+
+            const values = await decryptor.decrypt(chain.provider.getSigner(2), deployment.address, accounts.tracker, handles);
+            assert.deepEqual(handles.map(handle => values[handle]), ['1001', '95', '1250']);
+            await assert.rejects(gateway.fulfil(1), revertsWith('DECRYPTION_FULFILLED'));
+        });
+
+        it('accepts callbacks only from the gateway and before the timeout', async () => {
+            const requested = await clients.owner.requestDecryption({ productId: 1 });
+            const requestId = Number(requested.value.requestId);
+
+            const impostor = new LocalDecryptionGateway(clients.reader.read, chain.provider.getSigner(1));
+            await assert.rejects(impostor.fulfil(requestId), revertsWith('NOT_DECRYPTION_GATEWAY'));
+
+            const timeout = (await clients.reader.read.DECRYPTION_REQUEST_TIMEOUT()).toNumber();
+            await chain.provider.send('evm_increaseTime', [timeout + 1]);
+            await chain.provider.send('evm_mine', []);
+
+            assert.equal((await tracker.load(requestId, requested.value.transactionHash)).status, 'timeout');
+            await assert.rejects(gateway.fulfil(requestId), revertsWith('DECRYPTION_EXPIRED'));
+            assert.equal(await clients.reader.read.hasDecryptionAccess(1, accounts.owner), false);
+        });
+    });
+
+    describe('provenance reports', () => {
+        const reference = event => ({
+            event: event.event,
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash,
+            logIndex: event.logIndex
+        });
+
+        async function buildReport() {
+            const read = clients.reader.read;
+            const [created] = await read.queryFilter(read.filters.BatchCreated(1));
+            const [sealed] = await read.queryFilter(read.filters.BatchSealed(1));
+            const [registered] = await read.queryFilter(read.filters.ProductRegistered(1));
+            return {
+                format: REPORT_FORMAT,
+                version: REPORT_VERSION,
+                chainId: 31337,
+                contractAddress: deployment.address,
+                subject: { type: 'product', id: '1' },
+                batch: {
+                    batchId: '1',
+                    isSealed: true,
+                    batchOwner: accounts.maker,
+                    productCount: 1,
+                    created: reference(created),
+                    sealed: reference(sealed)
+                },
+                products: [{
+                    productId: '1',
+                    manufacturer: accounts.maker,
+                    batchId: '1',
+                    category: 'Electronics',
+                    traceRecordCount: 1,
+                    registration: reference(registered),
+                    traceRecords: []
+                }]
+            };
+        }
+
+        it('rejects reports missing a part the verifier reads', async () => {
+            const report = await buildReport();
+            assert.equal(parseProvenanceReport(JSON.stringify(report)).subject.id, '1');
+
+            assert.throws(() => parseProvenanceReport(JSON.stringify({ ...report, batch: null })), /malformed at batch$/);
+            report.products[0].traceRecords.push({ index: 0, eventType: 'Shipped' });
+            assert.throws(() => parseProvenanceReport(JSON.stringify(report)), /malformed at products\[0\]\.traceRecords\[0\]\.log$/);
+        });
+
+        it('reports a log of another event without comparing its arguments', async () => {
+            const report = await buildReport();
+            assert.deepEqual((await verifyProvenanceReport(report, chain.provider)).problems, []);
+
+            report.products[0].registration = { ...report.batch.created, event: 'ProductRegistered' };
+            assert.deepEqual((await verifyProvenanceReport(report, chain.provider)).problems, [{
+                path: 'products[0].registration.event',
+                kind: 'mismatch',
+                expected: 'ProductRegistered',
+                actual: 'BatchCreated'
+            }]);
+        });
+    });
+
+    describe('deployment block', () => {
+        it('finds the block the contract was deployed in', async () => {
+            assert.equal(await findDeploymentBlock(chain.provider, deployment.address), deployment.startBlock);
+            assert.equal(await findDeploymentBlock(chain.provider, accounts.outsider), null);
+        });
+    });
+
+    describe('cli.js', () => {
+        it('prints query results as JSON', async () => {
+            const { status, result } = await runCli(['product', '--product', '1']);
+            assert.equal(status, 0);
+            assert.equal(result.value.category, 'Electronics');
+        });
+
+        it('signs writes with TRACE_PRIVATE_KEY', async () => {
+            const { status, result } = await runCli(['create-batch', '--suppliers', '4', '--quantity', '40'], {
+                TRACE_PRIVATE_KEY: OWNER_PRIVATE_KEY
+            });
+            assert.equal(status, 0);
+            assert.equal(result.value.batchId, '3');
+        });
+
+        it('exits with status 1 on an error result', async () => {
+            const { status, result } = await runCli(['verify', '--product', '99']);
+            assert.equal(status, 1);
+            assert.equal(result.error.code, 'PRODUCT_NOT_FOUND');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+// Runs the Hardhat node from devchain/ (FHEVM mock coprocessor included) for a test file
+//
+// The node listens on its own port so a `pnpm devchain` left running is not disturbed. Deploying
+// from the first account of a fresh node puts PrivateTraceability at the "local" registry address.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { ethers } = require('ethers');
+const { listDeployments } = require('../../deployments');
+
+const DEVCHAIN_DIR = path.join(__dirname, '..', '..', 'devchain');
+const ARTIFACT = path.join(DEVCHAIN_DIR, 'artifacts', 'contracts', 'PrivateTraceability.sol', 'PrivateTraceability.json');
+const RPC_URL = 'http://127.0.0.1:18545';
+const STARTUP_TIMEOUT_MS = 60000;
+
+// Private key of the node's first account (the well-known Hardhat default mnemonic)
+const OWNER_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+async function startDevChain() {
+    const provider = new ethers.providers.StaticJsonRpcProvider(RPC_URL);
+    if (await provider.getBlockNumber().then(() => true, () => false)) {
+        throw new Error(`Something already answers on ${RPC_URL}; stop it before running the tests`);
+    }
+
+    const hardhat = require.resolve('hardhat/internal/cli/cli', { paths: [DEVCHAIN_DIR] });
+    const node = spawn(process.execPath, [hardhat, 'node', '--port', new URL(RPC_URL).port], {
+        cwd: DEVCHAIN_DIR,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // The node logs every request; keep only the tail for startup failures
+    let output = '';
+    const collect = chunk => {
+        output = (output + chunk).slice(-4000);
+    };
+    node.stdout.on('data', collect);
+    node.stderr.on('data', collect);
+
+    const exited = new Promise(resolve => node.once('exit', resolve));
+    const stop = async () => {
+        if (node.exitCode === null) {
+            node.kill();
+            await exited;
+        }
+    };
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    for (;;) {
+        if (node.exitCode !== null) {
+            throw new Error(`The dev chain exited during startup:\n${output}`);
+        }
+        try {
+            await provider.send('fhevm_relayer_metadata', []);
+            break;
+        } catch (error) {
+            if (Date.now() > deadline) {
+                await stop();
+                throw new Error(`The dev chain did not answer within ${STARTUP_TIMEOUT_MS} ms:\n${output}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
+
+    return { provider, rpcUrl: RPC_URL, stop };
+}
+
+// Deploys PrivateTraceability from the first account; resolves with its registry-shaped deployment
+async function deployTraceability(provider) {
+    const { abi, bytecode } = require(ARTIFACT);
+    const contract = await new ethers.ContractFactory(abi, bytecode, provider.getSigner(0)).deploy();
+    const receipt = await contract.deployTransaction.wait();
+
+    const local = listDeployments().find(entry => entry.id === 'local');
+    return { ...local, address: contract.address, rpcUrl: RPC_URL, startBlock: receipt.blockNumber };
+}
+
+module.exports = { RPC_URL, OWNER_PRIVATE_KEY, startDevChain, deployTraceability };
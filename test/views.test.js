@@ -0,0 +1,272 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { ethers } = require('ethers');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const LOCAL_SCRIPTS = [...PAGE.matchAll(/<script src="([\w-]+\.js)"><\/script>/g)].map(match => match[1]);
+
+const HOSTILE = '<img src=x onerror="window.pwned = true">';
+const ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+const { BigNumber } = ethers;
+
+// index.html with the page's own scripts run in order, minus the CDN ones. They run after the
+// load event so app.js does not start a PrivacyTraceabilityApp of its own.
+async function loadPage() {
+    const dom = new JSDOM(PAGE.replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, ''), {
+        url: 'http://localhost/',
+        runScripts: 'outside-only'
+    });
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    dom.window.ethers = ethers;
+    dom.window.Element.prototype.scrollIntoView = () => {};
+
+    const context = dom.getInternalVMContext();
+    for (const file of LOCAL_SCRIPTS) {
+        new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+    }
+    return { dom, context };
+}
+
+// The constructor connects to a deployment; views only need the state they read
+function createApp(context, state) {
+    const App = vm.runInContext('PrivacyTraceabilityApp', context);
+    return Object.assign(Object.create(App.prototype), {
+        deployment: { address: ADDRESS, label: 'Test' },
+        roles: { owner: null, isOwner: false, isManufacturer: false, isTracker: false },
+        openViews: { product: null, batch: null, trace: null },
+        notifications: [],
+        indexer: null,
+        userAddress: null,
+        readContract: null,
+        adapter: { supports: () => true },
+        ...state
+    });
+}
+
+const hostileRecall = {
+    recalled: true,
+    recalledAt: BigNumber.from(1700000000),
+    recalledBy: ADDRESS,
+    reason: HOSTILE
+};
+
+const hostileProduct = {
+    manufacturer: ADDRESS,
+    batchId: BigNumber.from(1),
+    category: HOSTILE,
+    traceRecordCount: BigNumber.from(1)
+};
+
+describe('views render chain strings as text', () => {
+    let dom;
+    let context;
+    let document;
+
+    beforeEach(async () => {
+        ({ dom, context } = await loadPage());
+        document = dom.window.document;
+    });
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    function assertInert(id) {
+        const element = document.getElementById(id);
+        assert.equal(element.querySelector('img'), null);
+        assert.ok(element.textContent.includes(HOSTILE), `#${id} does not show the string as text`);
+        assert.equal(dom.window.pwned, undefined);
+    }
+
+    it('queryProduct', async () => {
+        const app = createApp(context, {
+            reader: {
+                views: {
+                    getProductInfo: async () => hostileProduct,
+                    productRecalls: async () => hostileRecall
+                }
+            }
+        });
+        document.getElementById('queryProductId').value = '1';
+
+        await app.queryProduct();
+        assertInert('productInfo');
+        assert.ok(document.getElementById('productInfo').textContent.includes('RECALLED'));
+    });
+
+    it('the trace timeline', async () => {
+        const app = createApp(context, {
+            reader: {
+                views: {
+                    getTraceRecordCount: async () => BigNumber.from(2),
+                    getProductInfo: async () => hostileProduct,
+                    getPublicTraceInfo: async () => ({ eventType: HOSTILE, recorder: ADDRESS })
+                }
+            }
+        });
+        document.getElementById('traceHistoryId').value = '1';
+
+        await app.getTraceHistory();
+        assertInert('traceHistory');
+        assert.equal(document.querySelectorAll('#traceHistory .timeline-hop').length, 2);
+    });
+
+    it('the lifecycle anomalies on the trace timeline', async () => {
+        const eventTypes = ['Manufacturing', HOSTILE, 'Customer Delivery', HOSTILE];
+        const app = createApp(context, {
+            reader: {
+                views: {
+                    getTraceRecordCount: async () => BigNumber.from(eventTypes.length),
+                    getProductInfo: async () => ({ ...hostileProduct, category: 'Pharmaceutical' }),
+                    getPublicTraceInfo: async (productId, index) => ({ eventType: eventTypes[index], recorder: ADDRESS })
+                }
+            }
+        });
+        document.getElementById('traceHistoryId').value = '1';
+
+        await app.getTraceHistory();
+        const flags = [...document.querySelectorAll('#traceHistory .timeline-flag')];
+        assert.ok(flags.some(flag => flag.textContent.includes(`"${HOSTILE}" is not a lifecycle stage`)));
+        assert.ok(flags.some(flag => flag.textContent.includes(`${HOSTILE} recorded after Customer Delivery`)));
+        assertInert('traceHistory');
+    });
+
+    it('showConsumerVerification', async () => {
+        const app = createApp(context, {
+            readContract: {
+                provider: { getNetwork: async () => ({ chainId: 31337 }) },
+                verifyProductAuthenticity: async () => true,
+                getProductInfo: async () => hostileProduct,
+                getBatchInfo: async () => ({ isSealed: false }),
+                getPublicTraceInfo: async () => ({ eventType: HOSTILE, recorder: ADDRESS })
+            },
+            reader: { views: { productRecalls: async () => hostileRecall } }
+        });
+
+        await app.showConsumerVerification({ productId: 1, chainId: 31337, contractAddress: ADDRESS });
+        assertInert('consumerVerifyResult');
+        assert.ok(document.getElementById('consumerVerifyResult').textContent.includes('AUTHENTIC'));
+    });
+
+    it('renderRecallResults', () => {
+        const app = createApp(context, {
+            recallManifest: {
+                productCount: 1,
+                products: [{
+                    productId: '1',
+                    batchId: '1',
+                    category: HOSTILE,
+                    manufacturer: ADDRESS,
+                    lastEventType: HOSTILE,
+                    lastRecorder: ADDRESS,
+                    recalled: false,
+                    recallReason: HOSTILE
+                }]
+            }
+        });
+
+        app.renderRecallResults();
+        assertInert('recallResults');
+    });
+
+    it('the batch manifest', () => {
+        const app = createApp(context, {
+            manifest: {
+                batchId: '1',
+                isSealed: false,
+                batchOwner: ADDRESS,
+                productCount: 1,
+                products: [{ productId: '1', manufacturer: ADDRESS, category: HOSTILE, traceRecordCount: 0 }]
+            },
+            manifestPrivateChecks: null
+        });
+
+        app.renderBatchManifest();
+        assertInert('batchManifestBody');
+    });
+
+    it('the live notifications', async () => {
+        const app = createApp(context, {
+            reader: { observeBlock: () => {} },
+            watchlist: { matches: () => true, hasBatches: () => false },
+            refreshProducts: async () => {}
+        });
+
+        await app.handleLiveEvents([
+            { event: 'TraceRecordAdded', productId: '1', batchId: null, eventType: HOSTILE, blockNumber: 10, transactionHash: TX_HASH },
+            { event: 'ProductRecalled', productId: '1', batchId: null, reason: HOSTILE, blockNumber: 11, transactionHash: TX_HASH }
+        ]);
+        assertInert('notificationList');
+        assert.equal(document.querySelectorAll('#notificationList .trace-record').length, 2);
+    });
+
+    it('checkAuthorizations', async () => {
+        const app = createApp(context, {
+            isConnected: true,
+            userAddress: ADDRESS,
+            adapter: {
+                supports: () => true,
+                owner: async () => HOSTILE,
+                hasRole: async () => false
+            },
+            applyRoleGating: () => {},
+            refreshOwnedBatches: async () => {},
+            restoreImportJob: () => {},
+            refreshContractControl: async () => {}
+        });
+
+        await app.checkAuthorizations();
+        assertInert('walletInfo');
+    });
+});
+
+describe('view state', () => {
+    let dom;
+    let context;
+    let document;
+
+    beforeEach(async () => {
+        ({ dom, context } = await loadPage());
+        document = dom.window.document;
+    });
+
+    afterEach(() => {
+        dom.window.close();
+    });
+
+    it('the role roster without an event index', async () => {
+        const app = createApp(context);
+
+        await app.refreshRoster();
+        assert.ok(document.getElementById('roleRoster').textContent.includes('Roster unavailable'));
+        assert.equal(document.getElementById('statusMessage').className, 'status error');
+    });
+
+    it('live notifications for a watched batch', async () => {
+        const Watchlist = vm.runInContext('Watchlist', context);
+        const watchlist = new Watchlist('test-watchlist');
+        watchlist.add('batch', '7');
+        const app = createApp(context, {
+            reader: {
+                observeBlock: () => {},
+                views: { getProductInfo: async (productId) => ({ ...hostileProduct, batchId: BigNumber.from(productId === '2' ? 7 : 8) }) }
+            },
+            watchlist,
+            refreshProducts: async () => {}
+        });
+
+        await app.handleLiveEvents([
+            { event: 'TraceRecordAdded', productId: '2', batchId: null, eventType: 'Shipped', blockNumber: 10, transactionHash: TX_HASH },
+            { event: 'QualityCheckPerformed', productId: '3', batchId: null, blockNumber: 11, transactionHash: `0x${'cd'.repeat(32)}` }
+        ]);
+        const notifications = document.querySelectorAll('#notificationList .trace-record');
+        assert.equal(notifications.length, 1);
+        assert.ok(notifications[0].textContent.includes('Product #2'));
+    });
+});
@@ -0,0 +1,304 @@
+// Transaction manager: previews the fee, sends, and follows every write until it is mined
+//
+// Pending transactions and the history are saved to localStorage per chain, contract and wallet,
+// so a reload picks up whatever was still in flight. Speed-up and cancel re-send with the same
+// nonce and higher fees; whichever of an entry's hashes gets mined settles it.
+// Only non-confidential arguments belong in an entry's `args`: they are stored in plain text.
+
+const TX_STORAGE_PREFIX = 'privacyTraceability.transactions';
+const TX_POLL_INTERVAL_MS = 4000;
+const TX_HISTORY_LIMIT = 100;
+// Percent of the gas estimate used as the gas limit
+const TX_GAS_LIMIT_PERCENT = 120;
+// Percent of the previous fees offered by a replacement; nodes want at least a 10% bump
+const TX_REPLACEMENT_FEE_PERCENT = 125;
+const TX_FEE_FIELDS = ['maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'];
+// Event arguments reported as the IDs a transaction created
+const TX_RESULT_ARGS = ['productId', 'batchId', 'requestId'];
+
+// Contract events of a receipt, shaped like ethers' ContractReceipt.events
+function parseReceiptEvents(contract, receipt) {
+    return receipt.logs
+        .filter(log => log.address.toLowerCase() === contract.address.toLowerCase())
+        .map(log => {
+            try {
+                const parsed = contract.interface.parseLog(log);
+                return { ...log, event: parsed.name, args: parsed.args };
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+function collectResultIds(events) {
+    const ids = [];
+    events.forEach(event => {
+        TX_RESULT_ARGS.forEach(name => {
+            const value = event.args[name];
+            // Indexed strings only carry their hash
+            if (value === undefined || ethers.utils.Indexed.isIndexed(value)) return;
+            ids.push({ event: event.event, name, value: value.toString() });
+        });
+    });
+    return ids;
+}
+
+function serializeFees(source) {
+    const fees = {};
+    TX_FEE_FIELDS.forEach(field => {
+        if (source[field]) {
+            fees[field] = ethers.BigNumber.from(source[field]).toHexString();
+        }
+    });
+    return fees;
+}
+
+// Raises every fee of the previous attempt by the replacement bump, or to the network's current fee if higher
+function bumpFees(previous, feeData) {
+    const fees = {};
+    Object.entries(previous).forEach(([field, value]) => {
+        const bumped = ethers.BigNumber.from(value).mul(TX_REPLACEMENT_FEE_PERCENT).div(100);
+        const current = feeData[field];
+        fees[field] = current && current.gt(bumped) ? current : bumped;
+    });
+    return fees;
+}
+
+class TransactionManager {
+    // preflight({ method, params }) throws when the call would revert; confirm(preview) resolves to
+    // true once the user accepts the fee; onUpdate(entry, { resumed }) fires on every change, with
+    // resumed set when nobody in this page is awaiting the entry
+    constructor(contract, storageKey, { preflight, confirm, onUpdate }) {
+        this.contract = contract;
+        this.provider = contract.provider;
+        this.signer = contract.signer;
+        this.storageKey = storageKey;
+        this.preflight = preflight;
+        this.confirm = confirm;
+        this.onUpdate = onUpdate;
+        this.state = this.load();
+        this.waiters = new Map();
+        this.inFlight = new Set();
+        this.pollTimer = null;
+        this.checking = false;
+    }
+
+    static storageKey(chainId, contractAddress, userAddress) {
+        return `${TX_STORAGE_PREFIX}:${chainId}:${contractAddress.toLowerCase()}:${userAddress.toLowerCase()}`;
+    }
+
+    load() {
+        const saved = localStorage.getItem(this.storageKey);
+        return saved ? JSON.parse(saved) : { pending: [], history: [] };
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+    }
+
+    start() {
+        this.pollTimer = setInterval(() => this.checkPending(), TX_POLL_INTERVAL_MS);
+        this.checkPending();
+    }
+
+    // Callers still awaiting a transaction are released; the entry itself stays in the pending queue
+    stop() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.waiters.forEach(waiter => waiter.reject(new Error('Stopped following the transaction; it is still in the pending queue')));
+        this.waiters.clear();
+    }
+
+    pending() {
+        return this.state.pending;
+    }
+
+    history() {
+        return this.state.history;
+    }
+
+    clearHistory() {
+        this.state.history = [];
+        this.save();
+    }
+
+    // A method is busy from the fee preview until its transaction is mined, so repeated clicks do not double-send
+    isBusy(method) {
+        return this.inFlight.has(method) || this.state.pending.some(entry => entry.method === method);
+    }
+
+    async preview(tx) {
+        const [gasEstimate, feeData] = await Promise.all([this.signer.estimateGas(tx), this.provider.getFeeData()]);
+        const gasLimit = gasEstimate.mul(TX_GAS_LIMIT_PERCENT).div(100);
+        const fees = feeData.maxFeePerGas
+            ? { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }
+            : { gasPrice: feeData.gasPrice };
+        const feePerGas = fees.maxFeePerGas || fees.gasPrice;
+
+        return { gasEstimate, gasLimit, fees, feePerGas, maxCost: gasLimit.mul(feePerGas) };
+    }
+
+    // Previews, signs and submits contract.method(...params); resolves with the mined receipt
+    // (events parsed) or rejects when the transaction fails, is cancelled or gets replaced
+    async send(call) {
+        const { settled } = await this.submit(call);
+        return settled;
+    }
+
+    // send() that resolves once the wallet has returned the hash, with { entry, settled } where
+    // settled is send()'s promise. A caller passing `nonce` sequences its own transactions (bulk
+    // import), so the one-at-a-time guard does not apply to it.
+    async submit({ action, args = {}, method, params, nonce }) {
+        const pinned = nonce !== undefined;
+        if (!pinned && this.isBusy(method)) {
+            throw new Error(`${action} is already waiting for a transaction`);
+        }
+
+        this.inFlight.add(method);
+        let entry;
+        try {
+            await this.preflight({ method, params });
+            const tx = await this.contract.populateTransaction[method](...params, ...(pinned ? [{ nonce }] : []));
+            const preview = await this.preview(tx);
+            if (!await this.confirm({ action, args, ...preview })) {
+                throw Object.assign(new Error('Transaction cancelled before signing'), { code: 'ACTION_REJECTED' });
+            }
+
+            const response = await this.signer.sendTransaction({ ...tx, gasLimit: preview.gasLimit, ...preview.fees });
+            entry = {
+                id: response.hash,
+                action,
+                args,
+                method,
+                from: response.from,
+                to: response.to,
+                data: response.data,
+                value: response.value.toHexString(),
+                nonce: response.nonce,
+                gasLimit: response.gasLimit.toHexString(),
+                fees: serializeFees(response),
+                hashes: [{ hash: response.hash, kind: 'original' }],
+                hash: response.hash,
+                status: 'pending',
+                submittedAt: Date.now(),
+                settledAt: null,
+                blockNumber: null,
+                resultIds: [],
+                error: null
+            };
+            this.state.pending.push(entry);
+            this.save();
+        } finally {
+            this.inFlight.delete(method);
+        }
+
+        const settled = new Promise((resolve, reject) => {
+            this.waiters.set(entry.id, { resolve, reject });
+        });
+        this.onUpdate(entry, { resumed: false });
+        this.checkPending();
+        return { entry, settled };
+    }
+
+    speedUp(id) {
+        return this.replace(id, 'speedup');
+    }
+
+    // Replaces the transaction with an empty self-transfer on the same nonce
+    cancel(id) {
+        return this.replace(id, 'cancel');
+    }
+
+    async replace(id, kind) {
+        const entry = this.state.pending.find(candidate => candidate.id === id);
+        if (!entry) {
+            throw new Error('Transaction is no longer pending');
+        }
+
+        const fees = bumpFees(entry.fees, await this.provider.getFeeData());
+        const tx = kind === 'cancel'
+            ? { to: entry.from, value: 0, data: '0x', gasLimit: 21000 }
+            : { to: entry.to, value: entry.value, data: entry.data, gasLimit: entry.gasLimit };
+        const response = await this.signer.sendTransaction({ ...tx, nonce: entry.nonce, ...fees });
+
+        entry.hashes.push({ hash: response.hash, kind });
+        entry.fees = serializeFees(response);
+        this.save();
+        this.onUpdate(entry, { resumed: !this.waiters.has(entry.id) });
+    }
+
+    async checkPending() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            for (const entry of [...this.state.pending]) {
+                await this.checkEntry(entry);
+            }
+        } catch (error) {
+            console.error('Transaction check failed:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    async findReceipt(entry) {
+        for (const attempt of entry.hashes) {
+            const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+            if (receipt) return { receipt, kind: attempt.kind };
+        }
+        return null;
+    }
+
+    async checkEntry(entry) {
+        let mined = await this.findReceipt(entry);
+        if (!mined) {
+            const nextNonce = await this.provider.getTransactionCount(entry.from, 'latest');
+            if (nextNonce <= entry.nonce) return;
+
+            // The nonce is used; look once more in case one of ours was mined in between
+            mined = await this.findReceipt(entry);
+            if (!mined) {
+                entry.error = 'Replaced by another transaction with the same nonce';
+                this.settle(entry, 'failed', null);
+                return;
+            }
+        }
+
+        const { receipt, kind } = mined;
+        receipt.events = parseReceiptEvents(this.contract, receipt);
+        entry.hash = receipt.transactionHash;
+        entry.blockNumber = receipt.blockNumber;
+
+        if (kind === 'cancel') {
+            entry.error = 'Cancelled';
+            this.settle(entry, 'cancelled', receipt);
+        } else if (receipt.status === 0) {
+            entry.error = 'Transaction reverted';
+            this.settle(entry, 'failed', receipt);
+        } else {
+            entry.resultIds = collectResultIds(receipt.events);
+            this.settle(entry, 'confirmed', receipt);
+        }
+    }
+
+    settle(entry, status, receipt) {
+        entry.status = status;
+        entry.settledAt = Date.now();
+        this.state.pending = this.state.pending.filter(candidate => candidate !== entry);
+        this.state.history = [entry, ...this.state.history].slice(0, TX_HISTORY_LIMIT);
+        this.save();
+
+        const waiter = this.waiters.get(entry.id);
+        this.waiters.delete(entry.id);
+        this.onUpdate(entry, { resumed: !waiter });
+
+        if (!waiter) return;
+        if (status === 'confirmed') {
+            waiter.resolve(receipt);
+        } else {
+            waiter.reject(new Error(`${entry.action}: ${entry.error}`));
+        }
+    }
+}
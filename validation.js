@@ -0,0 +1,105 @@
+// Input rules shared by the single-item forms, the bulk importer and the headless client
+
+const UINT32_MAX = 4294967295;
+
+function isUint32(value) {
+    return Number.isInteger(value) && value >= 0 && value <= UINT32_MAX;
+}
+
+// Returns a list of problems with a registerProduct input; empty when the input is valid
+function validateProductFields({ manufacturerId, qualityScore, cost, batchId, category }) {
+    const errors = [];
+
+    if (!isUint32(manufacturerId) || manufacturerId === 0) {
+        errors.push('Manufacturer ID must be a positive whole number');
+    }
+    if (!Number.isInteger(qualityScore) || qualityScore < 0 || qualityScore > 100) {
+        errors.push('Quality score must be between 0 and 100');
+    }
+    if (!isUint32(cost) || cost === 0) {
+        errors.push('Cost must be a positive whole number');
+    }
+    if (!Number.isInteger(batchId) || batchId <= 0) {
+        errors.push('A valid batch ID is required');
+    }
+    if (typeof category !== 'string' || category.trim() === '') {
+        errors.push('Category is required');
+    }
+
+    return errors;
+}
+
+function validateId(value, label) {
+    return Number.isInteger(value) && value > 0 ? [] : [`${label} must be a positive whole number`];
+}
+
+function validateBatchFields({ supplierCount, quantity }) {
+    const errors = [];
+
+    if (!isUint32(supplierCount) || supplierCount === 0) {
+        errors.push('Supplier count must be a positive whole number');
+    }
+    if (!isUint32(quantity) || quantity === 0) {
+        errors.push('Quantity must be a positive whole number');
+    }
+
+    return errors;
+}
+
+function validateTraceFields({ productId, locationId, handlerId, qualityCheck, eventType }) {
+    const errors = validateId(productId, 'Product ID');
+
+    if (!isUint32(locationId) || locationId === 0) {
+        errors.push('Location ID must be a positive whole number');
+    }
+    if (!isUint32(handlerId) || handlerId === 0) {
+        errors.push('Handler ID must be a positive whole number');
+    }
+    if (typeof qualityCheck !== 'boolean') {
+        errors.push('Quality check must be passed or failed');
+    }
+    if (typeof eventType !== 'string' || eventType.trim() === '') {
+        errors.push('Event type is required');
+    }
+
+    return errors;
+}
+
+function validateRecallFields({ productIds, reason }) {
+    const errors = [];
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+        errors.push('At least one product ID is required');
+    } else if (productIds.some(productId => validateId(productId, 'Product ID').length > 0)) {
+        errors.push('Product IDs must be positive whole numbers');
+    }
+    if (typeof reason !== 'string' || reason.trim() === '') {
+        errors.push('Recall reason is required');
+    }
+
+    return errors;
+}
+
+// Checks a batch returned by getBatchInfo can take new products from the given wallet
+function validateBatchForRegistration(batch, userAddress) {
+    if (batch.isSealed) {
+        return 'Batch is sealed';
+    }
+    if (batch.batchOwner.toLowerCase() !== userAddress.toLowerCase()) {
+        return 'Not batch owner';
+    }
+    return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UINT32_MAX,
+        isUint32,
+        validateProductFields,
+        validateId,
+        validateBatchFields,
+        validateTraceFields,
+        validateRecallFields,
+        validateBatchForRegistration
+    };
+}